@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/**
+ * Planner benchmark for BladeOfGrass Path Planning Prototype
+ * Plans every reference scenario (benchmarks/scenarios) with every registered planner, the way
+ * bladeofgrass-plan does, and writes a comparison table as Markdown or HTML
+ *
+ * Metrics are measured the same way for every planner: path length, turns sharper than 30°,
+ * coverage (share of the free area within half the cutting width of the path), overlap (area
+ * passed over more than once: path length x cutting width against the area actually mowed)
+ * and planning time. With --check the run fails (exit 1) when a metric is worse than the stored
+ * baseline (benchmarks/baseline.json) by more than its tolerance; --update-baseline stores the
+ * current metrics. Planning time depends on the machine and is only checked when the baseline
+ * file sets a tolerance for it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toolError, loadPlanners, findPlanner, plannerParams, readScenario, planScenario } = require('../server/headless');
+
+const ROOT = path.join(__dirname, '..');
+const FORMATS = ['md', 'html'];
+
+// better: which direction is an improvement; tolerance: allowed change for the worse, relative
+// to the baseline value, or in percentage points for percentages (null: reported, not checked)
+const METRICS = [
+    { key: 'pathLength', label: 'Path length (m)', better: 'lower', tolerance: 0.05, digits: 1 },
+    { key: 'turnCount', label: 'Turns', better: 'lower', tolerance: 0.15, digits: 0 },
+    { key: 'coverage', label: 'Coverage %', better: 'higher', tolerance: 1, percent: true, digits: 1 },
+    { key: 'overlap', label: 'Overlap %', better: 'lower', tolerance: 5, percent: true, digits: 1 },
+    { key: 'timeMs', label: 'Time (ms)', better: 'lower', tolerance: null, digits: 0 }
+];
+
+const USAGE = `Usage: bladeofgrass-bench [options]
+
+Options:
+  --scenarios <dir>     reference scenarios (default: benchmarks/scenarios)
+  --planner <name>      only this planner, repeatable (default: every registered planner)
+  --baseline <file>     stored metrics to compare with (default: benchmarks/baseline.json)
+  --check               exit 1 when a metric regresses past the baseline tolerance
+  --update-baseline     store this run's metrics as the baseline
+  --format <format>     md or html (default: from the --output extension, else md)
+  --output <file>       write the report to a file instead of standard output
+  --verbose             print each run to standard error
+  --help                show this help`;
+
+function parseArgs(argv) {
+    const args = {
+        scenarios: path.join(ROOT, 'benchmarks', 'scenarios'),
+        planners: [],
+        baseline: path.join(ROOT, 'benchmarks', 'baseline.json'),
+        check: false,
+        updateBaseline: false,
+        format: null,
+        output: null,
+        verbose: false,
+        help: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw toolError(`${arg} needs a value`, 2);
+            return argv[++i];
+        };
+        if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--check') args.check = true;
+        else if (arg === '--update-baseline') args.updateBaseline = true;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--scenarios') args.scenarios = value();
+        else if (arg === '--planner') args.planners.push(value());
+        else if (arg === '--baseline') args.baseline = value();
+        else if (arg === '--format') args.format = value().toLowerCase();
+        else if (arg === '--output' || arg === '-o') args.output = value();
+        else throw toolError(`Unknown argument ${arg}`, 2);
+    }
+
+    if (args.format === null) {
+        const extension = args.output ? path.extname(args.output).slice(1).toLowerCase() : '';
+        args.format = extension === 'html' || extension === 'htm' ? 'html' : 'md';
+    }
+    if (!FORMATS.includes(args.format)) throw toolError(`--format must be md or html, got "${args.format}"`, 2);
+    return args;
+}
+
+// Reference scenarios by id (file name): { id, name, description, data }
+function loadCorpus(dir) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        throw toolError(`Cannot read scenarios from ${dir}: ${error.message}`, 2);
+    }
+    if (files.length === 0) throw toolError(`No scenarios (*.json) in ${dir}`, 2);
+    return files.map(file => {
+        const filename = path.join(dir, file);
+        const record = JSON.parse(fs.readFileSync(filename, 'utf8'));
+        return {
+            id: path.basename(file, '.json'),
+            name: record.name || path.basename(file, '.json'),
+            description: record.description || '',
+            data: readScenario(filename)
+        };
+    });
+}
+
+// Metrics of a planned path, independent of what the planner reports about itself
+function measure(context, scenario, mower, path, timeMs) {
+    const obstacles = (scenario.obstacles || []).map(obstacle => obstacle.points);
+    const cuttingWidth = mower.cuttingWidth * 50;
+    const stripeSpacing = (mower.cuttingWidth - mower.overlap) * 50;
+    const grid = new context.CoverageGrid(scenario.boundary, obstacles, Math.max(2, stripeSpacing / 4));
+    grid.coverPath(path, cuttingWidth / 2);
+
+    const length = context.Geometry.pathLength(path);
+    const mowedArea = grid.coveredCount * grid.step * grid.step;
+    return {
+        pathLength: length / 50,
+        turnCount: new context.CoveragePlanner().countTurns(path),
+        coverage: grid.fraction() * 100,
+        overlap: mowedArea > 0 ? Math.max(0, (length * cuttingWidth) / mowedArea - 1) * 100 : 0,
+        timeMs
+    };
+}
+
+async function runBenchmark(context, corpus, planners, log) {
+    const runs = [];
+    for (const scenario of corpus) {
+        for (const planner of planners) {
+            const run = { scenario: scenario.id, planner: planner.name, metrics: null, error: null };
+            try {
+                const params = plannerParams(context, planner);
+                const { result, mower, timeMs } = await planScenario(context, planner, scenario.data, params, { name: scenario.id });
+                run.metrics = measure(context, scenario.data, mower, result.path, timeMs);
+            } catch (error) {
+                if (error.exitCode === 2) throw error;
+                run.error = error.message;
+            }
+            log(`${run.error ? '❌' : '✅'} ${scenario.id} / ${planner.name}: ${run.error || formatMetrics(run.metrics)}`);
+            runs.push(run);
+        }
+    }
+    return runs;
+}
+
+function formatMetrics(metrics) {
+    return METRICS.map(metric => `${metric.key} ${round(metrics[metric.key], metric.digits)}`).join(', ');
+}
+
+function round(value, digits) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
+
+function readBaseline(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw toolError(`Cannot read baseline ${file}: ${error.message}`, 2);
+    }
+}
+
+function baselineJson(runs, previous) {
+    const results = {};
+    runs.filter(run => run.metrics).forEach(run => {
+        results[run.scenario] = results[run.scenario] || {};
+        results[run.scenario][run.planner] = Object.fromEntries(METRICS.map(metric => [metric.key, round(run.metrics[metric.key], 3)]));
+    });
+    return {
+        generated: new Date().toISOString(),
+        ...(previous && previous.tolerances ? { tolerances: previous.tolerances } : {}),
+        results
+    };
+}
+
+// { run, metric, value, baseline, change } for every metric worse than the baseline allows,
+// and a run that failed where the baseline has results
+function findRegressions(runs, baseline) {
+    const tolerances = (baseline && baseline.tolerances) || {};
+    const regressions = [];
+    runs.forEach(run => {
+        const stored = baseline && baseline.results[run.scenario] && baseline.results[run.scenario][run.planner];
+        if (!stored) return;
+        if (!run.metrics) {
+            regressions.push({ run, metric: null, message: `failed: ${run.error}` });
+            return;
+        }
+        METRICS.forEach(metric => {
+            const tolerance = metric.key in tolerances ? tolerances[metric.key] : metric.tolerance;
+            const value = run.metrics[metric.key];
+            const previous = stored[metric.key];
+            if (tolerance === null || previous === undefined) return;
+            const worseBy = metric.better === 'lower' ? value - previous : previous - value;
+            const allowed = metric.percent ? tolerance : Math.abs(previous) * tolerance;
+            if (worseBy > allowed + 1e-9) {
+                regressions.push({
+                    run,
+                    metric,
+                    message: `${metric.label} ${round(value, metric.digits)} vs ${round(previous, metric.digits)} in the baseline ` +
+                        `(allowed: ${metric.percent ? `${tolerance} points` : `${tolerance * 100}%`})`
+                });
+            }
+        });
+    });
+    return regressions;
+}
+
+// Table cell: the value and its change against the baseline
+function cell(run, metric, baseline) {
+    if (!run.metrics) return null;
+    const value = run.metrics[metric.key];
+    const stored = baseline && baseline.results[run.scenario] && baseline.results[run.scenario][run.planner];
+    const text = round(value, metric.digits).toFixed(metric.digits);
+    if (!stored || stored[metric.key] === undefined) return text;
+
+    const previous = stored[metric.key];
+    const change = metric.percent ? value - previous : previous !== 0 ? (value - previous) / Math.abs(previous) * 100 : 0;
+    if (Math.abs(change) < 0.05) return text;
+    return `${text} (${change > 0 ? '+' : ''}${change.toFixed(1)}${metric.percent ? ' pt' : '%'})`;
+}
+
+function markdownReport(corpus, runs, baseline, regressions) {
+    const scenarioName = id => corpus.find(scenario => scenario.id === id).name;
+    const lines = [
+        '# BladeOfGrass planner benchmark',
+        '',
+        `${corpus.length} scenarios × ${new Set(runs.map(run => run.planner)).size} planners, ${new Date().toISOString()}. ` +
+            (baseline ? `Changes are against the baseline of ${baseline.generated}.` : 'No baseline to compare with.'),
+        '',
+        `| Scenario | Planner | ${METRICS.map(metric => metric.label).join(' | ')} |`,
+        `|----------|---------|${METRICS.map(() => '---:').join('|')}|`
+    ];
+    runs.forEach(run => {
+        const flagged = regressions.some(regression => regression.run === run);
+        const cells = run.metrics ? METRICS.map(metric => cell(run, metric, baseline)) : [`failed: ${run.error}`, ...METRICS.slice(1).map(() => '')];
+        lines.push(`| ${scenarioName(run.scenario)} | ${run.planner}${flagged ? ' ⚠️' : ''} | ${cells.join(' | ')} |`);
+    });
+    lines.push('');
+    if (regressions.length > 0) {
+        lines.push('## Regressions', '');
+        regressions.forEach(regression => lines.push(`- ${scenarioName(regression.run.scenario)} / ${regression.run.planner}: ${regression.message}`));
+    } else if (baseline) {
+        lines.push('No regressions against the baseline.');
+    }
+    return lines.join('\n') + '\n';
+}
+
+function htmlReport(corpus, runs, baseline, regressions) {
+    const escape = text => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    const scenario = id => corpus.find(candidate => candidate.id === id);
+    const rows = runs.map(run => {
+        const flagged = regressions.some(regression => regression.run === run);
+        const cells = run.metrics
+            ? METRICS.map(metric => `<td class="number">${escape(cell(run, metric, baseline))}</td>`).join('')
+            : `<td colspan="${METRICS.length}" class="failed">failed: ${escape(run.error)}</td>`;
+        const title = scenario(run.scenario).description;
+        return `<tr${flagged ? ' class="regressed"' : ''}><td title="${escape(title)}">${escape(scenario(run.scenario).name)}</td><td>${escape(run.planner)}</td>${cells}</tr>`;
+    });
+    const summary = regressions.length > 0
+        ? `<h2>Regressions</h2><ul>${regressions.map(regression =>
+            `<li>${escape(scenario(regression.run.scenario).name)} / ${escape(regression.run.planner)}: ${escape(regression.message)}</li>`).join('')}</ul>`
+        : baseline ? '<p>No regressions against the baseline.</p>' : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>BladeOfGrass planner benchmark</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; margin: 20px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #bdc3c7; padding: 6px 10px; }
+    th { background-color: #ecf0f1; }
+    td.number { text-align: right; }
+    td.failed, tr.regressed td { color: #e74c3c; }
+</style>
+</head>
+<body>
+<h1>🌱 BladeOfGrass planner benchmark</h1>
+<p>${corpus.length} scenarios × ${new Set(runs.map(run => run.planner)).size} planners, ${new Date().toISOString()}. ${baseline ? `Changes are against the baseline of ${escape(baseline.generated)}.` : 'No baseline to compare with.'}</p>
+<table>
+<tr><th>Scenario</th><th>Planner</th>${METRICS.map(metric => `<th>${escape(metric.label)}</th>`).join('')}</tr>
+${rows.join('\n')}
+</table>
+${summary}
+</body>
+</html>
+`;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) return { text: USAGE + '\n', exitCode: 0 };
+
+    const log = args.verbose ? (...items) => console.error(...items) : () => {};
+    const context = loadPlanners(log);
+    const planners = args.planners.length > 0
+        ? args.planners.map(name => findPlanner(context, name))
+        : context.plannerRegistry.list();
+    const corpus = loadCorpus(args.scenarios);
+    const baseline = readBaseline(args.baseline);
+    if (args.check && !baseline && !args.updateBaseline) {
+        throw toolError(`No baseline at ${args.baseline}; run with --update-baseline to store one`, 2);
+    }
+
+    const runs = await runBenchmark(context, corpus, planners, log);
+    const regressions = findRegressions(runs, baseline);
+    const report = args.format === 'html'
+        ? htmlReport(corpus, runs, baseline, regressions)
+        : markdownReport(corpus, runs, baseline, regressions);
+
+    if (args.updateBaseline) {
+        fs.writeFileSync(args.baseline, JSON.stringify(baselineJson(runs, baseline), null, 2) + '\n');
+        console.error(`📏 Baseline written to ${args.baseline}`);
+    }
+    return { text: report, output: args.output, exitCode: args.check && regressions.length > 0 ? 1 : 0 };
+}
+
+// An --output file that cannot be written fails like a bad argument, through the same error path
+function writeOutput(text, output) {
+    if (!output) {
+        process.stdout.write(text);
+        return;
+    }
+    try {
+        fs.writeFileSync(output, text);
+    } catch (error) {
+        throw toolError(`Cannot write ${output}: ${error.message}`, 2);
+    }
+}
+
+if (require.main === module) {
+    // A reader that stops early (`| head`) closes the pipe; that ends the output, it is not an error
+    process.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') throw error;
+        process.exit(process.exitCode || 0);
+    });
+
+    main(process.argv.slice(2)).then(({ text, output, exitCode }) => {
+        writeOutput(text, output);
+        process.exitCode = exitCode;
+    }).catch(error => {
+        console.error(`ERROR: ${error.message}`);
+        (error.errors || [])
+            .filter(problem => problem.message !== error.message)
+            .forEach(problem => console.error(`  ${problem.code} ${problem.message}`));
+        process.exitCode = error.exitCode || 1;
+    });
+}
+
+module.exports = { main, measure, findRegressions, METRICS };
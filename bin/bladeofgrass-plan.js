@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Command-line planning tool for BladeOfGrass Path Planning Prototype
+ * Plans a scenario without the page, with the same planners, planning and geometry code
+ * (js/registry.js, js/planners.js, js/planner.js), and writes the path and stats as JSON, CSV or SVG
+ *
+ * Usage: bladeofgrass-plan <scenario.json | -> [options]   (see `--help`)
+ * The scenario is the page's export format (BladeOfGrass.exportData(), the scenario library's
+ * `data`, or a whole library file). Exit codes: 0 planned, 1 no path found or the planner
+ * failed, 2 invalid arguments or scenario.
+ *
+ *   for f in yards/*.json; do bladeofgrass-plan "$f" --param pattern=spiral --format csv > "${f%.json}.csv"; done
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MOWER, toolError, loadPlanners, findPlanner, plannerParams, readScenario, planScenario } = require('../server/headless');
+const { scenarioSvg } = require('../server/svg');
+
+const FORMATS = ['json', 'csv', 'svg'];
+
+const USAGE = `Usage: bladeofgrass-plan <scenario.json | -> [options]
+
+Options:
+  --planner <name>      planner to run (default: coverage; see --list)
+  --param <key=value>   planner parameter, repeatable (e.g. --param pattern=spiral --param robotCount=2)
+  --mower <key=value>   mower parameter in meters, repeatable; overrides the scenario's
+                        (cuttingWidth, overlap, robotRadius, safetyMargin, headlandLaps, turnRadius)
+  --format <format>     json, csv or svg (default: from the --output extension, else json)
+  --output <file>       write to a file instead of standard output
+  --size <WxH>          SVG size in pixels (default 800x600)
+  --verbose             print planning progress to standard error
+  --list                list the planners and their parameters
+  --help                show this help
+
+The 'server' planner runs PLANNER_EXECUTABLE (default: the bundled stand-in) directly, no server needed.`;
+
+function parseArgs(argv) {
+    const args = { scenario: null, planner: 'coverage', params: {}, mower: {}, format: null, output: null, size: '800x600', verbose: false, list: false, help: false };
+    const keyValue = (option, text) => {
+        const match = /^([A-Za-z]\w*)=(.*)$/.exec(text || '');
+        if (!match) throw toolError(`${option} needs key=value, got "${text || ''}"`, 2);
+        return match.slice(1);
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw toolError(`${arg} needs a value`, 2);
+            return argv[++i];
+        };
+        if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--list') args.list = true;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--planner') args.planner = value();
+        else if (arg === '--format') args.format = value().toLowerCase();
+        else if (arg === '--output' || arg === '-o') args.output = value();
+        else if (arg === '--size') args.size = value();
+        else if (arg === '--param') {
+            const [key, text] = keyValue(arg, value());
+            args.params[key] = text;
+        } else if (arg === '--mower') {
+            const [key, text] = keyValue(arg, value());
+            if (!(key in DEFAULT_MOWER)) throw toolError(`Unknown mower parameter "${key}" (${Object.keys(DEFAULT_MOWER).join(', ')})`, 2);
+            args.mower[key] = text.trim() === '' ? NaN : Number(text);
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw toolError(`Unknown option ${arg}`, 2);
+        } else if (args.scenario === null) {
+            args.scenario = arg;
+        } else {
+            throw toolError(`Unexpected argument ${arg}`, 2);
+        }
+    }
+
+    if (args.format === null) {
+        const extension = args.output ? path.extname(args.output).slice(1).toLowerCase() : '';
+        args.format = FORMATS.includes(extension) ? extension : 'json';
+    }
+    if (!FORMATS.includes(args.format)) throw toolError(`--format must be json, csv or svg, got "${args.format}"`, 2);
+    if (!/^\d+x\d+$/.test(args.size)) throw toolError(`--size must look like 800x600, got "${args.size}"`, 2);
+    return args;
+}
+
+function listPlanners(registry) {
+    return registry.list().map(planner => {
+        const params = Object.entries(planner.schema).map(([key, field]) => {
+            const values = field.type === 'select' ? field.options.map(option => option.value).join('|')
+                : field.type === 'boolean' ? 'true|false'
+                : `${field.type}${field.min !== undefined ? ` ${field.min}-${field.max}` : ''}`;
+            return `    ${key}=${values} (default ${field.default})`;
+        });
+        return [`${planner.name}: ${planner.label}`, ...params].join('\n');
+    }).join('\n');
+}
+
+// Section type ('coverage', 'headland', 'transit') of each path point; shared end points take the earlier section
+function pointSections(path, sections) {
+    const types = path.map(() => '');
+    [...sections].reverse().forEach(section => {
+        for (let i = section.start; i <= section.end && i < path.length; i++) types[i] = section.type;
+    });
+    return types;
+}
+
+function toCsv(plan) {
+    const robots = plan.robots.length > 0 ? plan.robots : [{ path: plan.path, sections: plan.sections }];
+    const rows = ['robot,index,x,y,section'];
+    robots.forEach((robot, r) => {
+        const types = pointSections(robot.path, robot.sections || []);
+        robot.path.forEach((point, i) => rows.push(`${r + 1},${i},${round(point.x)},${round(point.y)},${types[i]}`));
+    });
+    return rows.join('\n') + '\n';
+}
+
+function round(value, digits = 2) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) return { text: USAGE + '\n' };
+
+    const context = loadPlanners(args.verbose ? (...items) => console.error(...items) : () => {});
+    if (args.list) return { text: listPlanners(context.plannerRegistry) + '\n' };
+    if (args.scenario === null) throw toolError(`Missing scenario file\n\n${USAGE}`, 2);
+
+    const planner = findPlanner(context, args.planner);
+    const params = plannerParams(context, planner, args.params);
+    const { result, scenario, mower, timeMs } = await planScenario(context, planner, readScenario(args.scenario), params, {
+        name: args.scenario,
+        mower: args.mower,
+        onProgress: (stage, fraction) => {
+            if (args.verbose) console.error(`⏳ ${stage}${fraction === null || fraction === undefined ? '' : ` ${Math.round(fraction * 100)}%`}`);
+        }
+    });
+
+    const plan = {
+        schema_version: 1,
+        success: true,
+        planner: planner.name,
+        params,
+        mower,
+        path: result.path.map(point => ({ x: round(point.x), y: round(point.y) })),
+        sections: result.sections || [],
+        robots: (result.robots || []).length > 1 ? result.robots.map(robot => ({
+            path: robot.path.map(point => ({ x: round(point.x), y: round(point.y) })),
+            sections: robot.sections || []
+        })) : [],
+        stats: {
+            ...(result.stats || {}),
+            pathLength: round(context.Geometry.pathLength(result.path)),
+            waypointCount: result.path.length,
+            computationTimeMs: timeMs
+        },
+        error: null
+    };
+
+    if (args.format === 'csv') return { text: toCsv(plan), output: args.output };
+    if (args.format === 'svg') {
+        const [width, height] = args.size.split('x').map(Number);
+        const svg = scenarioSvg(scenario, { width, height, padding: 20, path: plan.path, robotPaths: plan.robots.map(robot => robot.path) });
+        return { text: svg + '\n', output: args.output };
+    }
+    return { text: JSON.stringify(plan, null, 2) + '\n', output: args.output };
+}
+
+// An --output file that cannot be written fails like a bad argument, through the same error path
+function writeOutput(text, output) {
+    if (!output) {
+        process.stdout.write(text);
+        return;
+    }
+    try {
+        fs.writeFileSync(output, text);
+    } catch (error) {
+        throw toolError(`Cannot write ${output}: ${error.message}`, 2);
+    }
+}
+
+if (require.main === module) {
+    // A reader that stops early (`| head`) closes the pipe; that ends the output, it is not an error
+    process.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') throw error;
+        process.exit(process.exitCode || 0);
+    });
+
+    main(process.argv.slice(2)).then(({ text, output }) => {
+        writeOutput(text, output);
+    }).catch(error => {
+        console.error(`ERROR: ${error.message}`);
+        (error.errors || [])
+            .filter(problem => problem.message !== error.message)
+            .forEach(problem => console.error(`  ${problem.code} ${problem.message}`));
+        process.exitCode = error.exitCode || 1;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -7,6 +7,9 @@ class App {
     constructor() {
         this.canvas = null;
         this.controls = null;
+        this.scenarios = null;
+        this.telemetry = null;
+        this.replay = null;
         this.init();
     }
     
@@ -26,7 +29,7 @@ class App {
         console.log('  ✅ Canvas drawing for boundaries');
         console.log('  ✅ Control button layout');
         console.log('  ✅ Obstacle management');
-        console.log('  ✅ Mock path planning');
+        console.log('  ✅ Boustrophedon cell decomposition');
         console.log('  ✅ Robot simulation');
         
         try {
@@ -50,6 +53,16 @@ class App {
             this.controls = new ControlsManager(this.canvas);
             console.log('✅ Controls manager initialized');
             
+            this.scenarios = new ScenarioBrowser(this);
+            this.scenarios.refresh();
+            
+            this.telemetry = new TelemetryClient(this);
+            this.controls.telemetry = this.telemetry;
+            this.telemetry.startFromUrl();
+            
+            this.replay = new TimelineReplay(this);
+            this.controls.replay = this.replay;
+            
             // Setup error handling
             this.setupErrorHandling();
             
@@ -68,11 +81,12 @@ class App {
             console.log('  P - Generate plan');
             console.log('  Space - Play/Pause simulation');
             console.log('  Ctrl+R - Reset everything');
-            console.log('  Esc - Cancel current drawing mode');
+            console.log('  Esc - Cancel current drawing mode or running plan');
             console.log('  + / - - Zoom in/out');
             console.log('  Ctrl+0 - Reset zoom');
             console.log('  Mouse wheel - Zoom at cursor');
             console.log('  Ctrl+Click - Pan canvas');
+            console.log('  Click a polygon - Edit its vertices (drag, click an edge to add, Delete to remove)');
             
         } catch (error) {
             console.error('❌ Setup failed:', error);
@@ -103,9 +117,13 @@ class App {
         }, 1000);
     }
     
-    showError(message) {
-        // Simple error display (could be enhanced with toast notifications)
-        alert('Error: ' + message);
+    // Error panel over the canvas; `errors` are { code, path, message } problems to list
+    showError(message, errors = []) {
+        if (!this.canvas) {
+            alert('Error: ' + message);
+            return;
+        }
+        this.canvas.showErrors(message, errors);
     }
     
     // Delegate methods to controls manager (for global access)
@@ -148,11 +166,16 @@ class App {
     // Export data for future C algorithm integration
     exportData() {
         const data = {
+            schema_version: 1,
             timestamp: new Date().toISOString(),
             boundary: this.canvas.boundary,
             obstacles: this.canvas.obstacles,
             dynamicObstacles: this.canvas.dynamicObstacles,
             plannedPath: this.canvas.plannedPath,
+            robotPaths: this.canvas.robotPlans.map(plan => plan.path),
+            parameters: this.controls.getMowerParameters(),
+            sensor: this.controls.getSensorParameters(),
+            discoveries: this.controls.discoveryLog,
             metadata: {
                 canvasWidth: this.canvas.canvas.width,
                 canvasHeight: this.canvas.canvas.height,
@@ -164,23 +187,56 @@ class App {
         return data;
     }
     
-    // Import data (for testing and future file loading)
+    // Import data (for testing and future file loading); false when the data does not follow
+    // the 'scenario' schema (js/schema.js), whose errors are shown instead
     importData(data) {
+        const errors = ProtocolSchema.validate('scenario', data);
+        if (errors.length > 0) {
+            this.showError('Cannot import data: it does not follow the scenario schema', errors);
+            return false;
+        }
         try {
+            // The schema leaves obstacle ids optional; the page needs one for every obstacle
+            const withIds = (obstacles, prefix) => (obstacles || []).map((obstacle, i) =>
+                obstacle.id ? obstacle : { ...obstacle, id: `${prefix}_${Date.now() + i}` });
+            const obstacles = withIds(data.obstacles, 'obstacle');
+            const dynamicObstacles = withIds(data.dynamicObstacles, 'dynamic');
+
             this.canvas.boundary = data.boundary || [];
-            this.canvas.obstacles = data.obstacles || [];
-            this.canvas.dynamicObstacles = data.dynamicObstacles || [];
+            this.canvas.obstacles = obstacles;
+            this.canvas.dynamicObstacles = dynamicObstacles;
             this.canvas.plannedPath = data.plannedPath || [];
+            this.canvas.planCells = [];
+            this.canvas.cellOrder = [];
+            this.canvas.planStats = null;
+            this.canvas.planOffset = null;
+            this.canvas.planSections = [];
+            this.canvas.threePointTurns = [];
+            this.canvas.robotPlans = (data.robotPaths || []).map(path => ({ path, sections: [], threePointTurns: [] }));
+            this.canvas.planCached = false;
+            this.canvas.geometryVersion++;
+            this.canvas.setPlanStale(false);
+            this.canvas.clearSelection();
+            
+            if (data.parameters) {
+                this.controls.setMowerParameters(data.parameters);
+            }
+            if (data.sensor) {
+                this.controls.setSensorParameters(data.sensor);
+            }
             
             this.canvas.render();
             this.updateButtonStates();
             this.updateObstacleList();
             this.updateStats();
             
+            this.canvas.hideErrors();
             console.log('Data imported successfully');
+            return true;
         } catch (error) {
             console.error('Failed to import data:', error);
             this.showError('Failed to import data: ' + error.message);
+            return false;
         }
     }
     
@@ -240,7 +296,7 @@ class App {
                 controlButtons: true,
                 boundaryDefinition: true,
                 obstacleManagement: true,
-                mockPathPlanning: true,
+                cellDecomposition: true,
                 robotSimulation: true,
                 statistics: true
             },
@@ -268,6 +324,10 @@ window.BladeOfGrass = {
     importData: (data) => app ? app.importData(data) : null,
     generateTestData: () => app ? app.generateTestData() : null,
     getPhaseStatus: () => app ? app.getPhaseStatus() : null,
+    registerPlanner: (planner) => plannerRegistry.register(planner),
+    unregisterPlanner: (name) => plannerRegistry.unregister(name),
+    listPlanners: () => plannerRegistry.list().map(planner => planner.name),
+    replayTimeline: (timeline) => app ? app.replay.play(timeline) : null,
     version: '1.0.0-phase1'
 };
 
@@ -281,6 +341,8 @@ Development helpers available:
 - BladeOfGrass.exportData() - Export current data as JSON
 - BladeOfGrass.importData(data) - Import JSON data
 - BladeOfGrass.getPhaseStatus() - Check implementation status
+- BladeOfGrass.registerPlanner(planner) - Add a planner to the PLAN menu (see js/registry.js)
+- BladeOfGrass.replayTimeline(timeline) - Replay a POST /api/simulate run on the canvas
 
 Ready for Phase 2: Communication setup!
 `);
@@ -11,12 +11,37 @@ class CanvasManager {
         this.obstacles = [];
         this.dynamicObstacles = [];
         this.plannedPath = [];
-        this.currentPath = [];
-        this.robotPosition = null;
+        this.planCells = [];      // Decomposition cells behind the planned path
+        this.cellOrder = [];      // Cell visit order chosen by the planner
+        this.planStats = null;    // Planner statistics (traversal, transit length)
+        this.planOffset = null;   // Inset boundary and grown obstacles the planner used
+        this.planSections = [];   // Path index ranges by type (coverage, headland, transit)
+        this.threePointTurns = [];  // Corners where no turn arc fits
+        this.robotPlans = [];     // Per-robot { path, sections, threePointTurns } from the planner
+        this.planCached = false;  // The plan came from the server's plan cache
+        this.planStale = false;   // The boundary or static obstacles changed after the plan was made
+        this.geometryVersion = 0; // Counts those changes, so a plan can tell whether its yard still matches
+        this.robots = [];         // Simulated robots: { position, detourPath, color }
+        this.sensor = null;       // SensorModel drawn as a cone in front of the robot
         this.mode = 'ready'; // ready, boundary, obstacle, obstacle-dynamic
         this.currentObstacle = [];
         this.highlightedObstacle = null; // For hover highlighting
         
+        // Vertex editing of finished polygons (ready mode)
+        this.selection = null;      // { kind: 'boundary' } or { kind: 'obstacle' | 'dynamic', obstacle }
+        this.selectedVertex = null; // Index of the vertex Delete removes
+        this.dragVertex = null;     // { index, moved } while a vertex handle is dragged
+        this.suppressClick = false; // Skip the click event that ends a vertex drag
+        this.editingLocked = false; // Set while a run, replay or plan is in progress
+        this.handleSize = 6;        // Half the vertex handle size, in screen pixels
+        
+        // Optional render layers toggled from the left panel
+        this.layers = {
+            cells: true,
+            cellGraph: false,
+            clearance: true
+        };
+        
         // Zoom and pan properties
         this.scale = 1.0;
         this.panX = 0;
@@ -32,8 +57,12 @@ class CanvasManager {
             obstacle: '#e74c3c',      // Red
             dynamicObstacle: '#f39c12', // Orange
             plannedPath: '#3498db',   // Blue
+            headland: '#16a085',      // Teal
+            transit: '#7f8c8d',       // Gray
             currentPath: '#9b59b6',   // Purple
+            cellGraph: '#34495e',     // Dark blue-gray
             robot: '#2c3e50',         // Dark gray
+            robots: ['#3498db', '#d35400', '#8e44ad', '#16a085'], // One per mower when the area is split
             background: '#f8f9fa',    // Light gray
             grid: '#ecf0f1'           // Very light gray
         };
@@ -75,6 +104,7 @@ class CanvasManager {
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
         this.canvas.addEventListener('mouseleave', (e) => this.handleMouseLeave(e));
+        document.getElementById('errorPanelClose')?.addEventListener('click', () => this.hideErrors());
     }
     
     getMousePosition(e) {
@@ -91,8 +121,15 @@ class CanvasManager {
     
     handleClick(e) {
         const pos = this.getMousePosition(e);
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
         
         switch (this.mode) {
+            case 'ready':
+                if (!e.ctrlKey) this.handleEditClick(pos);
+                break;
             case 'boundary':
                 this.addBoundaryPoint(pos);
                 break;
@@ -137,6 +174,23 @@ class CanvasManager {
             return;
         }
         
+        // Drag the grabbed vertex
+        if (this.dragVertex) {
+            const points = this.selectedPoints();
+            if (points) {
+                points[this.dragVertex.index] = { x: currentMousePos.x, y: currentMousePos.y };
+                this.dragVertex.moved = true;
+                this.render();
+            }
+            return;
+        }
+        
+        // Show what a click on the selected polygon does
+        if (this.mode === 'ready' && this.selection && !this.editingLocked) {
+            const cursor = this.hitVertex(currentMousePos) !== null ? 'move' : this.hitEdge(currentMousePos) ? 'copy' : 'default';
+            this.canvas.style.cursor = cursor;
+        }
+        
         // Show preview line when drawing polygons
         if ((this.mode === 'boundary' && this.boundary.length > 0) ||
             ((this.mode === 'obstacle' || this.mode === 'obstacle-dynamic') && this.currentObstacle.length > 0)) {
@@ -154,6 +208,16 @@ class CanvasManager {
             this.lastPanPoint.x = e.clientX - rect.left;
             this.lastPanPoint.y = e.clientY - rect.top;
             this.canvas.style.cursor = 'grabbing';
+        } else if (e.button === 0 && this.mode === 'ready' && this.selection && !this.editingLocked) {
+            // Grab a vertex handle of the selected polygon
+            const index = this.hitVertex(this.getMousePosition(e));
+            if (index !== null) {
+                e.preventDefault();
+                this.dragVertex = { index, moved: false };
+                this.selectedVertex = index;
+                this.canvas.style.cursor = 'move';
+                this.render();
+            }
         }
     }
     
@@ -162,6 +226,8 @@ class CanvasManager {
             this.isPanning = false;
             this.canvas.style.cursor = this.mode === 'ready' ? 'default' : 'crosshair';
         }
+        // The click that follows a drag is not an edit
+        if (this.finishVertexDrag()) this.suppressClick = true;
     }
     
     handleMouseLeave(e) {
@@ -176,6 +242,7 @@ class CanvasManager {
             this.isPanning = false;
             this.canvas.style.cursor = this.mode === 'ready' ? 'default' : 'crosshair';
         }
+        this.finishVertexDrag();
     }
     
     handleWheel(e) {
@@ -204,6 +271,7 @@ class CanvasManager {
     
     addBoundaryPoint(pos) {
         this.boundary.push(pos);
+        this.markPlanStale(); // B on a finished boundary extends it
         this.updateCanvasOverlay(`Boundary: ${this.boundary.length} points (right-click to finish)`);
         this.render();
         
@@ -252,8 +320,9 @@ class CanvasManager {
             });
             this.currentObstacle = [];
             this.setMode('ready');
+            this.markPlanStale();
             this.render();  // Force re-render to clear helper lines
-            this.updateCanvasOverlay('Obstacle added! Add more or click PLAN.');
+            this.updateCanvasOverlay(this.planStale ? 'Obstacle added! The plan is stale: click PLAN to replan.' : 'Obstacle added! Add more or click PLAN.');
             app.updateObstacleList();
             app.updateButtonStates();
             app.updateStats();  // Update stats when obstacle is added
@@ -300,6 +369,155 @@ class CanvasManager {
         }
     }
     
+    // Vertex editing in ready mode: click a finished polygon to select it, then drag its vertex
+    // handles, click an edge to insert a vertex or press Delete to remove the selected one
+    handleEditClick(pos) {
+        if (this.editingLocked) return;
+        if (this.selection) {
+            const index = this.hitVertex(pos);
+            if (index !== null) {
+                this.selectedVertex = index;
+                this.render();
+                return;
+            }
+            const edge = this.hitEdge(pos);
+            if (edge) {
+                this.selectedPoints().splice(edge.index + 1, 0, edge.point);
+                this.selectedVertex = edge.index + 1;
+                this.polygonEdited('Vertex added');
+                return;
+            }
+        }
+        
+        const selection = this.pickPolygon(pos);
+        if (selection) {
+            this.selectPolygon(selection);
+        } else if (this.selection) {
+            this.clearSelection();
+        }
+    }
+    
+    // Topmost polygon under `pos` or on its outline: dynamic obstacles, static obstacles, then the boundary
+    pickPolygon(pos) {
+        const tolerance = this.hitTolerance();
+        const hit = points => points.length >= 3 && (Geometry.isPointInPolygon(pos, points) ||
+            Geometry.polygonEdges(points).some(edge => Geometry.pointSegmentDistance(pos, edge.a, edge.b) <= tolerance));
+        
+        const dynamic = [...this.dynamicObstacles].reverse().find(obstacle => hit(obstacle.points));
+        if (dynamic) return { kind: 'dynamic', obstacle: dynamic };
+        const obstacle = [...this.obstacles].reverse().find(candidate => hit(candidate.points));
+        if (obstacle) return { kind: 'obstacle', obstacle };
+        return hit(this.boundary) ? { kind: 'boundary' } : null;
+    }
+    
+    selectPolygon(selection) {
+        this.selection = selection;
+        this.selectedVertex = null;
+        const name = selection.kind === 'boundary' ? 'boundary' : selection.kind === 'dynamic' ? 'dynamic obstacle' : 'obstacle';
+        this.updateCanvasOverlay(`Editing ${name}: drag a vertex, click an edge to add one, Delete removes the selected vertex (Esc to finish)`);
+        this.render();
+    }
+    
+    clearSelection() {
+        if (!this.selection) return;
+        this.selection = null;
+        this.selectedVertex = null;
+        this.dragVertex = null;
+        this.canvas.style.cursor = this.mode === 'ready' ? 'default' : 'crosshair';
+        this.render();
+    }
+    
+    // Points of the selected polygon, or null when it no longer exists (deleted, reset, imported over)
+    selectedPoints() {
+        if (!this.selection) return null;
+        if (this.selection.kind === 'boundary') return this.boundary.length >= 3 ? this.boundary : null;
+        const obstacles = this.selection.kind === 'dynamic' ? this.dynamicObstacles : this.obstacles;
+        return obstacles.includes(this.selection.obstacle) ? this.selection.obstacle.points : null;
+    }
+    
+    // Hit distance in world units: the handle size on screen, whatever the zoom
+    hitTolerance() {
+        return (this.handleSize + 3) / this.scale;
+    }
+    
+    // Index of the selected polygon's vertex under `pos`, or null
+    hitVertex(pos) {
+        const points = this.selectedPoints();
+        if (!points) return null;
+        const tolerance = this.hitTolerance();
+        let nearest = null;
+        points.forEach((point, index) => {
+            const distance = Geometry.distance(pos, point);
+            if (distance <= tolerance && (nearest === null || distance < nearest.distance)) nearest = { index, distance };
+        });
+        return nearest ? nearest.index : null;
+    }
+    
+    // Edge of the selected polygon under `pos` as { index (of its first vertex), point (on the edge) }, or null
+    hitEdge(pos) {
+        const points = this.selectedPoints();
+        if (!points) return null;
+        const tolerance = this.hitTolerance();
+        let nearest = null;
+        Geometry.polygonEdges(points).forEach((edge, index) => {
+            const distance = Geometry.pointSegmentDistance(pos, edge.a, edge.b);
+            if (distance <= tolerance && (nearest === null || distance < nearest.distance)) nearest = { index, distance, edge };
+        });
+        if (!nearest) return null;
+        
+        const { a, b } = nearest.edge;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const t = Math.max(0, Math.min(1, ((pos.x - a.x) * dx + (pos.y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+        return { index: nearest.index, point: { x: a.x + t * dx, y: a.y + t * dy } };
+    }
+    
+    // End a vertex drag; true when the vertex moved
+    finishVertexDrag() {
+        if (!this.dragVertex) return false;
+        const moved = this.dragVertex.moved;
+        this.dragVertex = null;
+        if (moved) this.polygonEdited('Vertex moved');
+        return moved;
+    }
+    
+    // Remove the selected vertex; polygons keep at least 3
+    deleteSelectedVertex() {
+        const points = this.selectedPoints();
+        if (!points || this.selectedVertex === null || this.editingLocked) return false;
+        if (points.length <= 3) {
+            this.updateCanvasOverlay(this.selection.kind === 'boundary' ? 'The boundary needs at least 3 vertices.'
+                : 'An obstacle needs at least 3 vertices. Delete it from the obstacle list instead.');
+            return false;
+        }
+        points.splice(this.selectedVertex, 1);
+        this.selectedVertex = Math.min(this.selectedVertex, points.length - 1);
+        this.polygonEdited('Vertex deleted');
+        return true;
+    }
+    
+    // After an edit: the plan no longer matches when the boundary or a static obstacle changed
+    // (dynamic obstacles are unknown to the planner)
+    polygonEdited(action) {
+        if (this.selection.kind !== 'dynamic') this.markPlanStale();
+        this.render();
+        this.updateCanvasOverlay(this.planStale ? `${action}. The plan is stale: click PLAN to replan.` : `${action}.`);
+        app.updateStats();
+        app.updateButtonStates();
+    }
+    
+    // A change to what the planner plans for; a plan made before it is stale, and so is one
+    // still being computed for the old yard
+    markPlanStale() {
+        this.geometryVersion++;
+        if (this.plannedPath.length > 0) this.setPlanStale(true);
+    }
+    
+    setPlanStale(stale) {
+        this.planStale = stale;
+        document.getElementById('staleIndicator')?.classList.toggle('active', stale);
+    }
+    
     setMode(newMode) {
         console.log(`🔄 Setting mode from "${this.mode}" to "${newMode}"`);
         
@@ -315,6 +533,7 @@ class CanvasManager {
             this.currentObstacle = [];
         }
         
+        if (newMode !== 'ready') this.clearSelection();
         this.mode = newMode;
         this.currentObstacle = [];
         this.mousePosition = null;  // Clear mouse position to remove helper lines
@@ -358,7 +577,29 @@ class CanvasManager {
         document.getElementById('canvasOverlay').textContent = text;
     }
     
+    // Error panel over the canvas: a title and one line per { code, path, message } problem
+    showErrors(title, errors = []) {
+        const panel = document.getElementById('errorPanel');
+        if (!panel) return;
+        document.getElementById('errorPanelTitle').textContent = title;
+        const list = document.getElementById('errorPanelList');
+        list.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = error.code;
+            item.append(code, ` ${error.message}`);
+            list.appendChild(item);
+        });
+        panel.classList.add('active');
+    }
+    
+    hideErrors() {
+        document.getElementById('errorPanel')?.classList.remove('active');
+    }
+    
     removeObstacle(obstacleId) {
+        if (this.obstacles.some(obs => obs.id === obstacleId)) this.markPlanStale();
         this.obstacles = this.obstacles.filter(obs => obs.id !== obstacleId);
         this.dynamicObstacles = this.dynamicObstacles.filter(obs => obs.id !== obstacleId);
         this.render();
@@ -379,8 +620,18 @@ class CanvasManager {
         this.obstacles = [];
         this.dynamicObstacles = [];
         this.plannedPath = [];
-        this.currentPath = [];
-        this.robotPosition = null;
+        this.planCells = [];
+        this.cellOrder = [];
+        this.planStats = null;
+        this.planOffset = null;
+        this.planSections = [];
+        this.threePointTurns = [];
+        this.robotPlans = [];
+        this.planCached = false;
+        this.geometryVersion++;
+        this.setPlanStale(false);
+        this.clearSelection();
+        this.robots = [];
         this.currentObstacle = [];
         
         // Reset pan position to origin but keep zoom level
@@ -428,8 +679,8 @@ class CanvasManager {
             const isHighlighted = this.highlightedObstacle === obstacle.id;
             this.drawPolygon(obstacle.points, this.colors.dynamicObstacle, 2, true);
             
-            // Draw highlight effect
-            if (isHighlighted) {
+            // Draw highlight effect (also marks obstacles the robot's sensor has discovered)
+            if (isHighlighted || obstacle.discovered) {
                 this.drawObstacleHighlight(obstacle.points, this.colors.dynamicObstacle);
             }
         });
@@ -453,19 +704,61 @@ class CanvasManager {
             }
         }
         
-        // Draw planned path
-        if (this.plannedPath.length > 0) {
-            this.drawPath(this.plannedPath, this.colors.plannedPath, 2);
+        // A stale plan is faded until the next PLAN
+        this.ctx.save();
+        if (this.planStale) this.ctx.globalAlpha = 0.3;
+        
+        // Draw the footprint offset the planner worked in
+        if (this.layers.clearance && this.planOffset) {
+            this.drawOffset(this.planOffset);
+        }
+        
+        // Draw decomposition cells and their adjacency graph
+        if (this.layers.cells && this.planCells.length > 0) {
+            this.drawCells(this.planCells);
+        }
+        
+        if (this.layers.cellGraph && this.planCells.length > 0) {
+            this.drawCellGraph(this.planCells, this.cellOrder);
         }
         
-        // Draw current path (re-routed)
-        if (this.currentPath.length > 0) {
-            this.drawPath(this.currentPath, this.colors.currentPath, 3);
+        // Draw planned path: stripes solid, headland laps in their own color, transit moves dashed.
+        // Several robots: each sub-region is shaded and drawn in the robot's color.
+        if (this.robotPlans.length > 1) {
+            this.robotPlans.forEach((plan, index) => this.drawRobotPlan(plan, this.robotColor(index)));
+        } else if (this.planSections.length > 0) {
+            this.planSections.forEach(section => {
+                const points = this.plannedPath.slice(section.start, section.end + 1);
+                if (section.type === 'transit') {
+                    this.drawPath(points, this.colors.transit, 2, [8, 6]);
+                } else if (section.type === 'headland') {
+                    this.drawPath(points, this.colors.headland, 3);
+                } else {
+                    this.drawPath(points, this.colors.plannedPath, 2);
+                }
+            });
+        } else if (this.plannedPath.length > 0) {
+            this.drawPath(this.plannedPath, this.colors.plannedPath, 2);
         }
+        this.threePointTurns.forEach(point => this.drawThreePointTurn(point));
+        this.ctx.restore();
+        
+        // Draw current paths (re-routed) and robots
+        this.robots.forEach(robot => {
+            if (robot.detourPath.length > 0) {
+                this.drawPath(robot.detourPath, this.colors.currentPath, 3);
+            }
+        });
+        this.robots.forEach(robot => {
+            if (robot.position) {
+                this.drawRobot(robot.position, robot.color);
+            }
+        });
         
-        // Draw robot
-        if (this.robotPosition) {
-            this.drawRobot(this.robotPosition);
+        // Vertex handles of the polygon being edited, on top of everything
+        const selectedPoints = this.editingLocked ? null : this.selectedPoints();
+        if (selectedPoints) {
+            this.drawVertexHandles(selectedPoints, this.selectionColor());
         }
         
         // Restore transform
@@ -549,6 +842,27 @@ class CanvasManager {
         });
     }
     
+    // Square handles on every vertex, the same size on screen at any zoom; the selected one filled
+    drawVertexHandles(points, color) {
+        this.drawObstacleHighlight(points, color);
+        
+        const size = this.handleSize / this.scale;
+        this.ctx.lineWidth = 2 / this.scale;
+        this.ctx.setLineDash([]);
+        this.ctx.strokeStyle = color;
+        points.forEach((point, index) => {
+            this.ctx.fillStyle = index === this.selectedVertex ? color : 'white';
+            this.ctx.fillRect(point.x - size, point.y - size, size * 2, size * 2);
+            this.ctx.strokeRect(point.x - size, point.y - size, size * 2, size * 2);
+        });
+    }
+    
+    selectionColor() {
+        if (!this.selection) return this.colors.boundary;
+        return this.selection.kind === 'boundary' ? this.colors.boundary
+            : this.selection.kind === 'dynamic' ? this.colors.dynamicObstacle : this.colors.obstacle;
+    }
+    
     drawObstacleHighlight(points, baseColor) {
         if (points.length < 3) return;
         
@@ -576,12 +890,12 @@ class CanvasManager {
         this.ctx.restore();
     }
     
-    drawPath(path, color, lineWidth) {
+    drawPath(path, color, lineWidth, dash = []) {
         if (path.length < 2) return;
         
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = lineWidth;
-        this.ctx.setLineDash([]);
+        this.ctx.setLineDash(dash);
         
         this.ctx.beginPath();
         this.ctx.moveTo(path[0].x, path[0].y);
@@ -591,6 +905,7 @@ class CanvasManager {
         }
         
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
         
         // Draw direction arrows
         for (let i = 0; i < path.length - 1; i++) {
@@ -629,11 +944,184 @@ class CanvasManager {
         this.ctx.stroke();
     }
     
-    drawRobot(position) {
+    // Distinct translucent tint per cell index
+    cellColor(index, alpha) {
+        const hue = (index * 137.5) % 360;
+        return `hsla(${hue}, 65%, 50%, ${alpha})`;
+    }
+    
+    // Dashed outlines: inset boundary in the boundary color, grown obstacles in the obstacle color
+    drawOffset(offset) {
+        const outlines = [
+            ...(offset.boundary ? [{ points: offset.boundary, color: this.colors.boundary }] : []),
+            ...offset.obstacles.map(points => ({ points, color: this.colors.obstacle }))
+        ];
+        
+        this.ctx.lineWidth = 1.5 / this.scale;
+        this.ctx.setLineDash([6 / this.scale, 4 / this.scale]);
+        outlines.forEach(({ points, color }) => {
+            this.ctx.strokeStyle = color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                this.ctx.lineTo(points[i].x, points[i].y);
+            }
+            this.ctx.closePath();
+            this.ctx.stroke();
+        });
+        this.ctx.setLineDash([]);
+    }
+    
+    drawCells(cells) {
+        cells.forEach(cell => {
+            if (cell.polygon.length < 3) return;
+            
+            this.ctx.fillStyle = this.cellColor(cell.id, 0.18);
+            this.ctx.strokeStyle = this.cellColor(cell.id, 0.6);
+            this.ctx.lineWidth = 1 / this.scale;
+            this.ctx.setLineDash([]);
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(cell.polygon[0].x, cell.polygon[0].y);
+            for (let i = 1; i < cell.polygon.length; i++) {
+                this.ctx.lineTo(cell.polygon[i].x, cell.polygon[i].y);
+            }
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Cell index at its center
+            this.ctx.fillStyle = this.cellColor(cell.id, 0.9);
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`C${cell.id}`, cell.centroid.x, cell.centroid.y + 4);
+        });
+    }
+    
+    drawCellGraph(cells, order) {
+        // Adjacency edges pass through the shared side (portal) of both cells
+        this.ctx.strokeStyle = this.colors.cellGraph + '80';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([]);
+        cells.forEach(cell => {
+            cell.neighbors.forEach(neighbor => {
+                if (neighbor.id < cell.id) return;
+                const other = cells[neighbor.id];
+                this.ctx.beginPath();
+                this.ctx.moveTo(cell.centroid.x, cell.centroid.y);
+                this.ctx.lineTo(neighbor.portal.x, neighbor.portal.y);
+                this.ctx.lineTo(other.centroid.x, other.centroid.y);
+                this.ctx.stroke();
+            });
+        });
+        
+        // Visit order as a dashed chain of arrows between cell centers
+        this.ctx.strokeStyle = this.colors.cellGraph;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        order.forEach((id, i) => {
+            const center = cells[id].centroid;
+            if (i === 0) {
+                this.ctx.moveTo(center.x, center.y);
+            } else {
+                this.ctx.lineTo(center.x, center.y);
+            }
+        });
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        for (let i = 0; i < order.length - 1; i++) {
+            this.drawArrow(cells[order[i]].centroid, cells[order[i + 1]].centroid, this.colors.cellGraph);
+        }
+        
+        // Visit rank badges next to each cell label
+        order.forEach((id, rank) => {
+            const center = cells[id].centroid;
+            this.ctx.fillStyle = this.colors.cellGraph;
+            this.ctx.beginPath();
+            this.ctx.arc(center.x, center.y - 16, 9, 0, 2 * Math.PI);
+            this.ctx.fill();
+            
+            this.ctx.fillStyle = 'white';
+            this.ctx.font = '11px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText((rank + 1).toString(), center.x, center.y - 12);
+        });
+    }
+    
+    // Small cross where the mower has to stop and turn on the spot
+    drawThreePointTurn(point) {
+        const size = 5 / this.scale;
+        this.ctx.strokeStyle = this.colors.obstacle;
+        this.ctx.lineWidth = 2 / this.scale;
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(point.x - size, point.y - size);
+        this.ctx.lineTo(point.x + size, point.y + size);
+        this.ctx.moveTo(point.x + size, point.y - size);
+        this.ctx.lineTo(point.x - size, point.y + size);
+        this.ctx.stroke();
+    }
+    
+    robotColor(index) {
+        return this.colors.robots[index % this.colors.robots.length];
+    }
+    
+    // One robot's share: its mowed swath shaded, then its path in the robot's color
+    drawRobotPlan(plan, color) {
+        const swath = this.planStats ? this.planStats.stripeSpacing : 0;
+        if (swath > 0) {
+            this.ctx.save();
+            this.ctx.lineJoin = 'round';
+            this.ctx.lineCap = 'round';
+            this.ctx.strokeStyle = color + '26';
+            this.ctx.lineWidth = swath;
+            plan.sections.filter(section => section.type !== 'transit').forEach(section => {
+                const points = plan.path.slice(section.start, section.end + 1);
+                this.ctx.beginPath();
+                this.ctx.moveTo(points[0].x, points[0].y);
+                points.slice(1).forEach(point => this.ctx.lineTo(point.x, point.y));
+                this.ctx.stroke();
+            });
+            this.ctx.restore();
+        }
+        
+        if (plan.sections.length === 0) {
+            this.drawPath(plan.path, color, 2);
+        }
+        plan.sections.forEach(section => {
+            const points = plan.path.slice(section.start, section.end + 1);
+            if (section.type === 'transit') {
+                this.drawPath(points, this.colors.transit, 2, [8, 6]);
+            } else {
+                this.drawPath(points, color, section.type === 'headland' ? 3 : 2);
+            }
+        });
+    }
+    
+    drawRobot(position, color = this.colors.robot) {
         const radius = 8;
         
+        // Sensor field of view
+        if (this.sensor) {
+            const cone = this.sensor.cone(position);
+            this.ctx.fillStyle = this.colors.robot + '15';
+            this.ctx.strokeStyle = this.colors.robot + '60';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(cone[0].x, cone[0].y);
+            for (let i = 1; i < cone.length; i++) {
+                this.ctx.lineTo(cone[i].x, cone[i].y);
+            }
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+        }
+        
         // Robot body (circle)
-        this.ctx.fillStyle = this.colors.robot;
+        this.ctx.fillStyle = color;
         this.ctx.beginPath();
         this.ctx.arc(position.x, position.y, radius, 0, 2 * Math.PI);
         this.ctx.fill();
@@ -686,15 +1174,31 @@ class CanvasManager {
         };
     }
     
-    // Set planned path from algorithm
-    setPlannedPath(path) {
+    // Set planned path from algorithm, with the cells and visit order that produced it.
+    // `version` is the geometryVersion the plan was made for; it is stale when the yard has changed since.
+    setPlannedPath(path, plan = {}, version = this.geometryVersion) {
         this.plannedPath = path;
+        this.robots = [];
+        this.planCells = plan.cells || [];
+        this.cellOrder = plan.order || [];
+        this.planStats = plan.stats || null;
+        this.planOffset = plan.offset || null;
+        this.planSections = plan.sections || [];
+        this.threePointTurns = plan.threePointTurns || [];
+        this.robotPlans = plan.robots || [];
+        this.planCached = plan.cached === true;
+        this.setPlanStale(version !== this.geometryVersion);
+        this.render();
+    }
+    
+    setLayerVisible(layer, visible) {
+        this.layers[layer] = visible;
         this.render();
     }
     
-    // Update robot position during simulation
-    updateRobotPosition(position) {
-        this.robotPosition = position;
+    // Show the simulated robots (poses and detours) and redraw
+    updateRobots(robots) {
+        this.robots = robots;
         this.render();
     }
     
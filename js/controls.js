@@ -11,11 +11,44 @@ class ControlsManager {
         this.currentSpeed = 5;
         this.obstacleCounter = 1;
         
-        // Simulation state tracking for pause/resume
-        this.currentIndex = 0;
-        this.progress = 0;
+        // Mower model parameters in meters (protocol: cutting_width, overlap, robot_radius)
+        this.mowerParams = { ...PlannerRegistry.MOWER_DEFAULTS };
+        
+        // Planner chosen in the left panel (see js/registry.js) and its parameters, per planner name
+        this.plannerName = 'coverage';
+        this.plannerParams = {};
+        
+        // Current run (RunSimulator, js/simulator.js), kept across pause/resume, and its robots:
+        // one per planned sub-region, each { name, color, path, currentIndex, detour, detourPath,
+        // position, state, progress, replanCount }
+        this.simulation = null;
+        this.robots = [];
+        
+        // Dynamic obstacle re-routing totals for the current run
+        this.replanCount = 0;
+        this.detourLength = 0;
+        
+        // Obstacle sensor (FR-S06): range in meters, field of view in degrees
+        this.sensorParams = {
+            range: 2.0,
+            fov: 120
+        };
+        this.discoveryLog = [];   // { id, robot, time, position } per discovered dynamic obstacle
+        this.collisionCount = 0;  // dynamic obstacles driven into before the sensor saw them
+        this.canvas.sensor = new SensorModel({ range: this.sensorParams.range * 50, fov: this.sensorParams.fov });
+        
+        // `planTask` is { cancel } while a plan is in progress
+        this.planTask = null;
+        this.planTimeout = 30000; // milliseconds
+        
+        // TelemetryClient set by the app; gets robot status and run events to publish
+        this.telemetry = null;
+        // TimelineReplay set by the app; a server run replaying on the canvas locks the run buttons
+        this.replay = null;
         
         this.setupEventListeners();
+        this.renderPlannerList();
+        plannerRegistry.onChange(() => this.renderPlannerList());
         this.updateButtonStates();
     }
     
@@ -52,6 +85,7 @@ class ControlsManager {
             console.log('🧮 Plan clicked');
             this.generatePlan();
         });
+        document.getElementById('cancelPlanBtn')?.addEventListener('click', () => this.cancelPlan());
         
         // Obstacle buttons
         document.getElementById('addObstacleBtn')?.addEventListener('click', () => this.addObstacle());
@@ -67,6 +101,33 @@ class ControlsManager {
         const speedSlider = document.getElementById('speedSlider');
         speedSlider?.addEventListener('input', (e) => this.updateSpeed(e.target.value));
         
+        // Planner choice; its parameter inputs are rebuilt from the planner's schema
+        document.getElementById('plannerSelect')?.addEventListener('change', (e) => {
+            this.plannerName = e.target.value;
+            this.renderPlannerParams();
+        });
+        
+        // Mower parameters
+        ['cuttingWidthInput', 'overlapInput', 'robotRadiusInput', 'safetyMarginInput', 'headlandLapsInput', 'turnRadiusInput'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateMowerParameters());
+        });
+        
+        // Sensor parameters
+        ['sensorRangeInput', 'sensorFovInput'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateSensorParameters());
+        });
+        
+        // View layers
+        document.getElementById('showCellsToggle')?.addEventListener('change', (e) => {
+            this.canvas.setLayerVisible('cells', e.target.checked);
+        });
+        document.getElementById('showCellGraphToggle')?.addEventListener('change', (e) => {
+            this.canvas.setLayerVisible('cellGraph', e.target.checked);
+        });
+        document.getElementById('showClearanceToggle')?.addEventListener('change', (e) => {
+            this.canvas.setLayerVisible('clearance', e.target.checked);
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
         
@@ -75,7 +136,7 @@ class ControlsManager {
     
     handleKeyboard(e) {
         // Only handle if not in input field
-        if (e.target.tagName === 'INPUT') return;
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
         
         switch (e.key.toLowerCase()) {
             case 'r':
@@ -106,7 +167,18 @@ class ControlsManager {
                     this.run();
                 }
                 break;
+            case 'delete':
+            case 'backspace':
+                if (this.canvas.selection) {
+                    e.preventDefault();
+                    this.canvas.deleteSelectedVertex();
+                }
+                break;
             case 'escape':
+                if (this.planTask) {
+                    this.cancelPlan();
+                    break;
+                }
                 // Smart ESC handling: finish valid drawings, cancel invalid ones
                 if (this.canvas.mode === 'boundary') {
                     if (this.canvas.boundary.length >= 3) {
@@ -139,7 +211,8 @@ class ControlsManager {
                         this.canvas.updateCanvasOverlay('Incomplete dynamic obstacle cancelled. Ready for next action.');
                     }
                 } else {
-                    // Not in drawing mode - just clear any state
+                    // Not in drawing mode - just clear any state (and finish vertex editing)
+                    this.canvas.clearSelection();
                     this.canvas.setMode('ready');
                     this.canvas.render();
                     this.canvas.updateCanvasOverlay('Ready for next action.');
@@ -166,6 +239,7 @@ class ControlsManager {
     }
     
     reset() {
+        this.cancelPlan();
         this.stop();
         this.canvas.reset();
         this.obstacleCounter = 1;
@@ -176,6 +250,7 @@ class ControlsManager {
     }
     
     startBoundary() {
+        if (this.planTask) return; // the B key, while the button is disabled
         console.log('🎯 startBoundary called, current mode:', this.canvas.mode);
         
         if (this.canvas.mode === 'boundary') {
@@ -190,6 +265,7 @@ class ControlsManager {
     }
     
     addObstacle() {
+        if (this.planTask) return; // the O key, while the button is disabled
         if (this.canvas.mode === 'obstacle') {
             this.canvas.finishObstacle();
         } else {
@@ -209,84 +285,307 @@ class ControlsManager {
         this.updateButtonStates();
     }
     
+    // Fill the planner dropdown from the registry, keeping the current choice when it is still registered
+    renderPlannerList() {
+        const select = document.getElementById('plannerSelect');
+        const planners = plannerRegistry.list();
+        if (!plannerRegistry.get(this.plannerName) && planners.length > 0) {
+            this.plannerName = planners[0].name;
+        }
+        if (select) {
+            select.innerHTML = '';
+            planners.forEach(planner => {
+                const option = document.createElement('option');
+                option.value = planner.name;
+                option.textContent = planner.label;
+                option.title = planner.description;
+                select.appendChild(option);
+            });
+            select.value = this.plannerName;
+        }
+        this.renderPlannerParams();
+    }
+    
+    // One input per schema parameter of the chosen planner
+    renderPlannerParams() {
+        const container = document.getElementById('plannerParams');
+        const planner = plannerRegistry.get(this.plannerName);
+        if (!container) return;
+        container.innerHTML = '';
+        if (!planner) return;
+        
+        const params = this.getPlannerParams();
+        Object.entries(planner.schema).forEach(([key, field]) => {
+            const control = document.createElement('div');
+            control.className = 'select-control';
+            const label = document.createElement('label');
+            label.htmlFor = `plannerParam-${key}`;
+            label.textContent = field.label || key;
+            
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                field.options.forEach(choice => {
+                    const option = document.createElement('option');
+                    option.value = String(choice.value);
+                    option.textContent = choice.label !== undefined ? choice.label : String(choice.value);
+                    input.appendChild(option);
+                });
+                input.value = String(params[key]);
+            } else if (field.type === 'boolean') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = params[key];
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                ['min', 'max', 'step'].forEach(attribute => {
+                    if (field[attribute] !== undefined) input[attribute] = field[attribute];
+                });
+                if (field.type === 'integer' && field.step === undefined) input.step = 1;
+                input.value = params[key];
+            }
+            input.id = `plannerParam-${key}`;
+            input.dataset.param = key;
+            if (field.description) input.title = field.description;
+            input.addEventListener('change', () => this.updatePlannerParam(key, input));
+            
+            control.appendChild(label);
+            control.appendChild(input);
+            container.appendChild(control);
+        });
+        this.updatePlannerParamStates();
+    }
+    
+    updatePlannerParam(key, input) {
+        const planner = plannerRegistry.get(this.plannerName);
+        const field = planner.schema[key];
+        let value;
+        if (field.type === 'select') {
+            value = field.options.find(option => String(option.value) === input.value).value;
+        } else if (field.type === 'boolean') {
+            value = input.checked;
+        } else {
+            value = parseFloat(input.value);
+        }
+        
+        const params = { ...this.getPlannerParams(), [key]: value };
+        const error = PlannerRegistry.validate(planner.schema, params);
+        input.classList.toggle('invalid', error !== null);
+        if (error) {
+            this.canvas.updateCanvasOverlay(`Invalid planner parameters: ${error}`);
+            return;
+        }
+        this.plannerParams[this.plannerName] = params;
+        this.updatePlannerParamStates();
+    }
+    
+    // Grey out parameters that do not apply to the current values
+    updatePlannerParamStates() {
+        const planner = plannerRegistry.get(this.plannerName);
+        const params = this.getPlannerParams();
+        document.querySelectorAll('#plannerParams [data-param]').forEach(input => {
+            const field = planner.schema[input.dataset.param];
+            input.disabled = typeof field.enabled === 'function' && !field.enabled(params);
+        });
+    }
+    
+    // Parameters of the chosen planner: the values set in the panel over the schema defaults
+    getPlannerParams() {
+        const planner = plannerRegistry.get(this.plannerName);
+        if (!planner) return {};
+        return { ...PlannerRegistry.defaults(planner.schema), ...this.plannerParams[this.plannerName] };
+    }
+    
+    setPlannerParams(name, params) {
+        this.plannerParams[name] = { ...this.plannerParams[name], ...params };
+        if (name === this.plannerName) this.renderPlannerParams();
+    }
+    
+
+    updateMowerParameters() {
+        const params = {
+            cuttingWidth: parseFloat(document.getElementById('cuttingWidthInput').value),
+            overlap: parseFloat(document.getElementById('overlapInput').value),
+            robotRadius: parseFloat(document.getElementById('robotRadiusInput').value),
+            safetyMargin: parseFloat(document.getElementById('safetyMarginInput').value),
+            headlandLaps: Number(document.getElementById('headlandLapsInput').value),
+            turnRadius: parseFloat(document.getElementById('turnRadiusInput').value)
+        };
+        
+        const error = this.validateMowerParameters(params);
+        document.querySelectorAll('.param-control:not(.sensor-control) input').forEach(input => {
+            input.classList.toggle('invalid', error !== null);
+        });
+        if (error) {
+            this.canvas.updateCanvasOverlay(`Invalid mower parameters: ${error}`);
+            return;
+        }
+        
+        this.mowerParams = params;
+        
+        // Re-plan so path length and estimated time follow the new mower
+        if (this.canvas.plannedPath.length > 0 && !this.isRunning) {
+            this.generatePlan();
+        }
+    }
+    
+    validateMowerParameters(params) {
+        if (!(params.cuttingWidth > 0)) return 'cutting width must be greater than 0';
+        if (!(params.overlap >= 0)) return 'overlap must not be negative';
+        if (params.overlap >= params.cuttingWidth) return 'overlap must be smaller than the cutting width';
+        if (!(params.robotRadius >= 0)) return 'robot radius must not be negative';
+        if (!(params.safetyMargin >= 0)) return 'safety margin must not be negative';
+        if (!Number.isInteger(params.headlandLaps) || params.headlandLaps < 0) return 'headland laps must be a whole number of 0 or more';
+        if (!(params.turnRadius >= 0)) return 'turn radius must not be negative';
+        return null;
+    }
+    
+    getMowerParameters() {
+        return { ...this.mowerParams };
+    }
+    
+    setMowerParameters(params) {
+        this.mowerParams = { ...this.mowerParams, ...params };
+        document.getElementById('cuttingWidthInput').value = this.mowerParams.cuttingWidth;
+        document.getElementById('overlapInput').value = this.mowerParams.overlap;
+        document.getElementById('robotRadiusInput').value = this.mowerParams.robotRadius;
+        document.getElementById('safetyMarginInput').value = this.mowerParams.safetyMargin;
+        document.getElementById('headlandLapsInput').value = this.mowerParams.headlandLaps;
+        document.getElementById('turnRadiusInput').value = this.mowerParams.turnRadius;
+    }
+    
+    // Mower parameters converted to pixels (50px = 1m), as every planner receives them.
+    // The robot center keeps radius + safety margin away from edges, so stripes need no extra end margin.
+    getMowerOptions() {
+        return PlannerRegistry.mowerOptions(this.mowerParams);
+    }
+    
+    // What planners plan for: the drawn geometry and the mower
+    getScenario() {
+        return { ...this.canvas.getBoundaryData(), mower: this.getMowerOptions() };
+    }
+    
     async generatePlan() {
+        if (this.planTask) return; // one plan at a time
         if (this.canvas.boundary.length < 3) {
             alert('Please define a boundary first');
             return;
         }
+        const planner = plannerRegistry.get(this.plannerName);
+        if (!planner) {
+            alert('No planner is registered');
+            return;
+        }
+        const params = this.getPlannerParams();
+        const paramError = PlannerRegistry.validate(planner.schema, params);
+        if (paramError) {
+            alert(`Invalid planner parameters: ${paramError}`);
+            return;
+        }
         
-        // Disable plan button and show loading
+        // Disable plan button and show progress
         const planBtn = document.getElementById('planBtn');
+        const cancelPlanBtn = document.getElementById('cancelPlanBtn');
         const originalText = planBtn.textContent;
-        planBtn.textContent = '⏳ Planning...';
+        planBtn.textContent = '⏳ 0%';
         planBtn.disabled = true;
+        if (cancelPlanBtn) cancelPlanBtn.style.display = '';
+        this.canvas.updateCanvasOverlay('Planning... (Esc to cancel)');
         
         try {
-            // Get boundary data
-            const boundaryData = this.canvas.getBoundaryData();
-            
-            // Mock path planning (in Phase 3, this will call the C algorithm)
-            const mockPath = this.generateMockPath(boundaryData);
-            
-            // Simulate processing time
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            // Run the chosen planner (in Phase 3, the built-in one will call the C algorithm)
+            const version = this.canvas.geometryVersion;
+            const planning = this.runPlanner(planner, this.getScenario(), params, (stage, fraction) => {
+                if (fraction === null || fraction === undefined) {
+                    planBtn.textContent = '⏳ …';
+                    this.canvas.updateCanvasOverlay(`Planning: ${stage} (Esc to cancel)`);
+                    return;
+                }
+                const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+                planBtn.textContent = `⏳ ${percent}%`;
+                this.canvas.updateCanvasOverlay(`Planning: ${stage}... ${percent}% (Esc to cancel)`);
+            });
+            this.updateButtonStates(); // planTask is set: lock vertex editing while the planner works
+            const result = await planning;
+            if (!result || !Array.isArray(result.path)) {
+                throw new Error(`Planner "${planner.name}" did not return a { path } object`);
+            }
+            if (result.path.length === 0) {
+                throw new Error('No coverage path found inside the boundary (is the robot footprint larger than the area?)');
+            }
             
-            // Set the planned path
-            this.canvas.setPlannedPath(mockPath);
+            // Set the planned path; it comes back stale if an obstacle was added or removed meanwhile
+            this.canvas.setPlannedPath(result.path, result, version);
             
             // Update stats
             this.updateStats();
             
-            this.canvas.updateCanvasOverlay('Path generated! Click RUN to start simulation.');
+            const stats = result.stats || {};
+            const method = stats.pattern === 'boustrophedon' ? `${stats.traversal.toUpperCase()} cell order`
+                : stats.pattern ? `${stats.pattern} pattern` : planner.label;
+            // Too little work for every robot: say so instead of quietly running fewer
+            const idle = stats.idleRobots > 0
+                ? ` ${stats.idleRobots} of ${stats.robotCount + stats.idleRobots} robots got no share of the area.` : '';
+            if (idle) console.warn(`⚠️${idle}`);
+            this.canvas.updateCanvasOverlay(this.canvas.planStale
+                ? `Path generated (${method}), but the yard changed while planning: click PLAN to replan.`
+                : `Path generated (${method}${result.cached ? ', cached' : ''})!${idle} Click RUN to start simulation.`);
             
         } catch (error) {
-            console.error('Path planning failed:', error);
-            alert('Path planning failed: ' + error.message);
+            if (error.cancelled) {
+                console.log('🛑 Planning cancelled');
+                this.canvas.updateCanvasOverlay('Planning cancelled. Adjust the setup and click PLAN again.');
+            } else {
+                console.error('Path planning failed:', error);
+                this.canvas.updateCanvasOverlay('Path planning failed. Adjust the setup and click PLAN again.');
+                this.canvas.showErrors('Path planning failed: ' + error.message, error.errors || []);
+            }
         } finally {
+            this.planTask = null;
+            if (cancelPlanBtn) cancelPlanBtn.style.display = 'none';
             planBtn.textContent = originalText;
             this.updateButtonStates();
         }
     }
     
-    generateMockPath(boundaryData) {
-        // Mock trapezoidal decomposition path
-        // This will be replaced with actual C algorithm in Phase 3
-        const path = [];
-        const boundary = boundaryData.boundary;
-        
-        if (boundary.length < 3) return path;
-        
-        // Find bounding box
-        let minX = Math.min(...boundary.map(p => p.x));
-        let maxX = Math.max(...boundary.map(p => p.x));
-        let minY = Math.min(...boundary.map(p => p.y));
-        let maxY = Math.max(...boundary.map(p => p.y));
-        
-        // Add some margin
-        minX += 20;
-        maxX -= 20;
-        minY += 20;
-        maxY -= 20;
-        
-        // Generate simple back-and-forth pattern
-        const stripeSpacing = 40; // 40 pixels between stripes
-        let currentY = minY;
-        let goingRight = true;
-        
-        while (currentY <= maxY) {
-            if (goingRight) {
-                path.push({ x: minX, y: currentY });
-                path.push({ x: maxX, y: currentY });
-            } else {
-                path.push({ x: maxX, y: currentY });
-                path.push({ x: minX, y: currentY });
-            }
+    // Run a registered planner and resolve with its result. Cancel and the timeout (`planTimeout`
+    // unless the planner sets its own) reject at once and abort the planner's signal so it can
+    // stop its own work.
+    runPlanner(planner, scenario, params, onProgress) {
+        const controller = new AbortController();
+        const timeout = planner.timeout !== undefined ? planner.timeout : this.planTimeout;
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                controller.abort();
+                callback(value);
+            };
+            const timer = timeout > 0 ? setTimeout(() => {
+                finish(reject, new Error(`Planning timed out after ${timeout / 1000}s`));
+            }, timeout) : null;
+            
+            this.planTask = { cancel: () => finish(reject, this.planCancelledError()) };
             
-            currentY += stripeSpacing;
-            goingRight = !goingRight;
+            Promise.resolve()
+                .then(() => planner.plan(scenario, params, { onProgress, signal: controller.signal }))
+                .then(result => finish(resolve, result), error => finish(reject, error));
+        });
+    }
+    
+    planCancelledError() {
+        const error = new Error('Planning cancelled');
+        error.cancelled = true;
+        return error;
+    }
+    
+    cancelPlan() {
+        if (this.planTask) {
+            this.planTask.cancel();
         }
-        
-        return path;
     }
     
     run() {
@@ -295,10 +594,27 @@ class ControlsManager {
             return;
         }
         
+        // Fresh start: every robot at the beginning of its own sub-region
+        const plans = this.canvas.robotPlans.length > 0 ? this.canvas.robotPlans : [{ path: this.canvas.plannedPath }];
+        this.simulation = this.createSimulation(plans, {
+            colors: plans.map((plan, index) => plans.length > 1 ? this.canvas.robotColor(index) : this.canvas.colors.robot),
+            onEvent: (type, details) => this.handleSimulationEvent(type, details)
+        });
+        this.robots = this.simulation.robots;
         this.isRunning = true;
         this.isPaused = false;
-        this.currentIndex = 0;  // Reset position for fresh start
-        this.progress = 0;      // Reset progress for fresh start
+        this.replanCount = 0;
+        this.detourLength = 0;
+        this.updateReplanStatus();
+        this.discoveryLog = this.simulation.discoveryLog;
+        this.collisionCount = 0;
+        this.updateSensorStatus();
+        this.canvas.updateRobots(this.robots);
+        if (this.robots.length > 1) {
+            document.getElementById('robotPosition').textContent = `${this.robots.length} robots`;
+        }
+        this.telemetry?.publishScenario();
+        this.telemetry?.publishEvent('run-started', { robots: this.robots.length });
         this.startSimulation();
         this.updateButtonStates();
         this.updateRobotStatus('Running', null, 0, this.currentSpeed);
@@ -321,12 +637,12 @@ class ControlsManager {
     }
     
     stop() {
+        this.replay?.stop();
         this.isRunning = false;
         this.isPaused = false;
-        this.currentIndex = 0;  // Reset position
-        this.progress = 0;      // Reset progress
-        this.canvas.robotPosition = null;
-        this.canvas.render();
+        this.robots = [];
+        this.canvas.updateRobots(this.robots);
+        this.updateRobotList();
         this.updateButtonStates();
         this.updateRobotStatus('Stopped', null, 0, 0);
     }
@@ -340,50 +656,47 @@ class ControlsManager {
         }
     }
     
+    // Animation loop: every tick moves each robot one step along its own path
     startSimulation() {
-        if (!this.isRunning) return;
-        
-        const path = this.canvas.plannedPath;
-        if (path.length === 0) return;
-        
-        // Use instance variables to preserve state across pause/resume
-        // Only reset if starting fresh (not resuming)
-        if (!this.isPaused && this.currentIndex === 0) {
-            this.currentIndex = 0;
-            this.progress = 0;
-        }
+        if (!this.isRunning || this.robots.length === 0) return;
         
         const animate = () => {
             if (!this.isRunning || this.isPaused) return;
             
-            if (this.currentIndex >= path.length - 1) {
+            const simulation = this.simulation;
+            simulation.tick();
+            this.canvas.render();
+            this.updateRobotList();
+            
+            const single = this.robots.length === 1 ? this.robots[0] : null;
+            const progress = simulation.progress;
+            const finished = simulation.finished;
+            
+            if (simulation.complete) {
                 // Simulation complete
+                const last = single ? single.path[single.path.length - 1] : null;
                 this.stop();
-                this.updateRobotStatus('Complete', path[path.length - 1], 100, 0);
+                this.updateRobotStatus('Complete', last, 100, 0);
+                this.telemetry?.publishEvent('run-complete', {
+                    time: simulation.time,
+                    replanCount: this.replanCount,
+                    collisions: this.collisionCount
+                });
                 this.canvas.updateCanvasOverlay('Coverage complete! 🎉');
                 return;
             }
             
-            // Update robot position
-            const current = path[this.currentIndex];
-            const next = path[this.currentIndex + 1];
-            
-            if (next) {
-                // Calculate heading
-                const heading = Math.atan2(next.y - current.y, next.x - current.x);
-                
-                this.canvas.updateRobotPosition({
-                    x: current.x,
-                    y: current.y,
-                    heading: heading
-                });
-                
-                // Update progress
-                this.progress = ((this.currentIndex + 1) / path.length) * 100;
-                this.updateRobotStatus('Running', current, this.progress, this.currentSpeed);
+            if (finished) {
+                this.isRunning = false;
+                this.updateButtonStates();
+                this.updateRobotStatus('Blocked', single ? single.position : null, progress, 0);
+                this.telemetry?.publishEvent('blocked', { progress });
+                this.canvas.updateCanvasOverlay('No detour found around the dynamic obstacle. Click STOP to reset.');
+                return;
             }
             
-            this.currentIndex++;
+            this.updateRobotStatus(single ? single.state : 'Running', single ? single.position : null, progress,
+                single && single.state === 'Replanning' ? 0 : this.currentSpeed);
             
             // Animation speed based on slider
             const delay = Math.max(50, 500 - (this.currentSpeed * 45));
@@ -393,31 +706,147 @@ class ControlsManager {
         animate();
     }
     
+    // Robot step length in pixels: short enough for the sensor to see obstacles in time
+    simulationStep() {
+        return RunSimulator.defaultStep(this.sensorParams.range * 50);
+    }
+    
+    // Simulator for the drawn yard and the current mower and sensor, driving one robot per plan
+    createSimulation(plans, options = {}) {
+        const mower = this.getMowerOptions();
+        return new RunSimulator({
+            boundary: this.canvas.boundary,
+            obstacles: this.canvas.obstacles.map(obstacle => obstacle.points),
+            dynamicObstacles: this.canvas.dynamicObstacles,
+            plans,
+            sensor: this.canvas.sensor,
+            clearance: mower.clearance,
+            robotRadius: this.mowerParams.robotRadius * 50,
+            step: this.simulationStep(),
+            ...options
+        });
+    }
+    
+    // Status panel, console and telemetry for what happens during a run
+    handleSimulationEvent(type, details) {
+        const simulation = this.simulation;
+        if (type === 'obstacle-detected') {
+            console.log(`📡 Discovered ${details.id} at ${details.time.toFixed(1)}s, ${details.robot} at ` +
+                `(${this.canvas.canvasToMeters(details.position.x)}, ${this.canvas.canvasToMeters(details.position.y)})`);
+            this.updateSensorStatus();
+            this.telemetry?.publishEvent('obstacle-detected', { robot: details.robot, obstacle: details.id, position: details.position });
+        } else if (type === 'replan') {
+            this.replanCount = simulation.replanCount;
+            this.detourLength = simulation.detourLength;
+            this.updateReplanStatus();
+            console.log(`🔀 ${details.robot} detour ${details.count}: ` +
+                `${this.canvas.canvasToMeters(Geometry.pathLength(details.detour))} m around dynamic obstacle`);
+            this.telemetry?.publishEvent('replan', { robot: details.robot, position: details.position, detour: details.detour });
+        } else if (type === 'collision') {
+            this.collisionCount = simulation.collisionCount;
+            console.warn(`💥 Collision with ${details.obstacle} (${details.discovered ? 'discovered' : 'not discovered'})`);
+            this.updateSensorStatus();
+            this.telemetry?.publishEvent('collision', details);
+        } else if (type === 'blocked') {
+            console.warn(`🚧 ${details.robot} blocked: no detour around the dynamic obstacle`);
+        }
+    }
+    
+    updateSensorStatus() {
+        const discoveredElement = document.getElementById('discoveredCount');
+        if (discoveredElement) {
+            const discovered = this.canvas.dynamicObstacles.filter(obstacle => obstacle.discovered).length;
+            discoveredElement.textContent = `${discovered}/${this.canvas.dynamicObstacles.length}`;
+        }
+        const collisionElement = document.getElementById('collisionCount');
+        if (collisionElement) {
+            collisionElement.textContent = this.collisionCount;
+        }
+    }
+    
+    updateSensorParameters() {
+        const params = {
+            range: parseFloat(document.getElementById('sensorRangeInput').value),
+            fov: parseFloat(document.getElementById('sensorFovInput').value)
+        };
+        
+        const error = this.validateSensorParameters(params);
+        document.querySelectorAll('.sensor-control input').forEach(input => {
+            input.classList.toggle('invalid', error !== null);
+        });
+        if (error) {
+            this.canvas.updateCanvasOverlay(`Invalid sensor parameters: ${error}`);
+            return;
+        }
+        
+        this.sensorParams = params;
+        this.canvas.sensor = new SensorModel({ range: params.range * 50, fov: params.fov });
+        this.canvas.render();
+    }
+    
+    validateSensorParameters(params) {
+        if (!(params.range >= 0.1)) return 'range must be at least 0.1 m';
+        if (!(params.fov > 0 && params.fov <= 360)) return 'field of view must be between 0 and 360 degrees';
+        return null;
+    }
+    
+    getSensorParameters() {
+        return { ...this.sensorParams };
+    }
+    
+    setSensorParameters(params) {
+        this.sensorParams = { ...this.sensorParams, ...params };
+        document.getElementById('sensorRangeInput').value = this.sensorParams.range;
+        document.getElementById('sensorFovInput').value = this.sensorParams.fov;
+        this.canvas.sensor = new SensorModel({ range: this.sensorParams.range * 50, fov: this.sensorParams.fov });
+    }
+    
+    updateReplanStatus() {
+        const replanElement = document.getElementById('replanCount');
+        if (replanElement) {
+            replanElement.textContent = this.replanCount;
+        }
+        const detourElement = document.getElementById('detourLength');
+        if (detourElement) {
+            detourElement.textContent = `${this.canvas.canvasToMeters(this.detourLength)} m`;
+        }
+    }
+    
     updateButtonStates() {
         const hasBoundary = this.canvas.boundary.length >= 3;
-        const hasPath = this.canvas.plannedPath.length > 0;
+        const hasPath = this.canvas.plannedPath.length > 0 && !this.canvas.planStale; // a stale plan needs PLAN first
         const isDrawing = this.canvas.mode !== 'ready';
         const isSimulationActive = this.isRunning; // Robot running or paused
+        const isReplaying = !!this.replay && (this.replay.playing || this.replay.requesting);
+        
+        // Polygons stay put while robots drive on them or a planner works on them
+        this.canvas.editingLocked = isSimulationActive || isReplaying || !!this.planTask;
+        if (this.canvas.editingLocked) this.canvas.clearSelection();
         
         // Setup buttons - disabled during simulation or when drawing in different mode
         document.getElementById('boundaryBtn').textContent = 
             this.canvas.mode === 'boundary' ? '⏹️ FINISH BOUNDARY' : '📐 BOUNDARY';
-        document.getElementById('boundaryBtn').disabled = isSimulationActive || (isDrawing && this.canvas.mode !== 'boundary');
-        document.getElementById('planBtn').disabled = !hasBoundary || isDrawing || isSimulationActive;
+        document.getElementById('boundaryBtn').disabled = isSimulationActive || !!this.planTask || (isDrawing && this.canvas.mode !== 'boundary');
+        document.getElementById('planBtn').disabled = !hasBoundary || isDrawing || isSimulationActive || isReplaying || !!this.planTask;
         
         // Obstacle buttons - disabled during simulation or when drawing in different mode
         document.getElementById('addObstacleBtn').textContent = 
             this.canvas.mode === 'obstacle' ? '⏹️ FINISH OBSTACLE' : '🌳 ADD OBSTACLE';
-        document.getElementById('addObstacleBtn').disabled = isSimulationActive || (isDrawing && this.canvas.mode !== 'obstacle');
+        document.getElementById('addObstacleBtn').disabled = isSimulationActive || !!this.planTask || (isDrawing && this.canvas.mode !== 'obstacle');
         document.getElementById('addDynamicObstacleBtn').textContent = 
             this.canvas.mode === 'obstacle-dynamic' ? '⏹️ FINISH DYNAMIC' : '⚡ ADD DYNAMIC';
         document.getElementById('addDynamicObstacleBtn').disabled = isSimulationActive || (isDrawing && this.canvas.mode !== 'obstacle-dynamic');
         
         // Simulation buttons
-        document.getElementById('runBtn').disabled = !hasPath || this.isRunning || isDrawing;
+        document.getElementById('runBtn').disabled = !hasPath || this.isRunning || isDrawing || isReplaying;
         document.getElementById('pauseBtn').disabled = !this.isRunning || this.isPaused || isDrawing;
         document.getElementById('resumeBtn').disabled = !this.isRunning || !this.isPaused || isDrawing;
         document.getElementById('stopBtn').disabled = !this.isRunning || isDrawing;
+        const simulateBtn = document.getElementById('simulateServerBtn');
+        if (simulateBtn) {
+            simulateBtn.textContent = this.replay?.playing ? '⏹️ STOP REPLAY' : '🖥️ SIMULATE ON SERVER';
+            simulateBtn.disabled = this.replay?.playing ? false : !hasPath || isSimulationActive || isDrawing || isReplaying;
+        }
         
         // Update button styles based on mode
         const buttons = ['boundaryBtn', 'addObstacleBtn', 'addDynamicObstacleBtn'];
@@ -454,26 +883,35 @@ class ControlsManager {
             return;
         }
         
-        listContainer.innerHTML = allObstacles.map(obstacle => `
-            <div class="obstacle-item ${obstacle.type}" 
-                 data-obstacle-id="${obstacle.id}"
-                 onmouseenter="app.highlightObstacle('${obstacle.id}')"
-                 onmouseleave="app.unhighlightObstacle('${obstacle.id}')">
-                <span class="obstacle-name">
-                    ${obstacle.type === 'dynamic' ? '⚡' : '🌳'} 
-                    ${obstacle.type === 'dynamic' ? 'Dynamic' : 'Obstacle'} ${obstacle.id.split('_')[1].slice(-3)}
-                </span>
-                <button class="obstacle-delete" onclick="app.removeObstacle('${obstacle.id}')">
-                    ✕
-                </button>
-            </div>
-        `).join('');
+        // Ids come from imported and library scenarios, so they are passed as data, never as markup or script
+        listContainer.innerHTML = '';
+        allObstacles.forEach(obstacle => {
+            const item = document.createElement('div');
+            item.className = `obstacle-item ${obstacle.type}`;
+            item.dataset.obstacleId = obstacle.id;
+            item.addEventListener('mouseenter', () => app.highlightObstacle(item.dataset.obstacleId));
+            item.addEventListener('mouseleave', () => app.unhighlightObstacle(item.dataset.obstacleId));
+
+            const name = document.createElement('span');
+            name.className = 'obstacle-name';
+            const label = obstacle.id.includes('_') ? obstacle.id.split('_')[1].slice(-3) : obstacle.id;
+            name.textContent = obstacle.type === 'dynamic' ? `⚡ Dynamic ${label}` : `🌳 Obstacle ${label}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'obstacle-delete';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => app.removeObstacle(item.dataset.obstacleId));
+
+            item.append(name, remove);
+            listContainer.appendChild(item);
+        });
     }
     
     removeObstacle(obstacleId) {
         this.canvas.removeObstacle(obstacleId);
         this.updateObstacleList();
         this.updateStats();
+        this.updateButtonStates(); // deleting a static obstacle makes the plan stale
     }
     
     highlightObstacle(obstacleId) {
@@ -494,9 +932,11 @@ class ControlsManager {
         // Calculate useful area (boundary - obstacles)
         const usefulArea = Math.max(0, parseFloat(boundaryArea) - parseFloat(obstaclesArea)).toFixed(1);
         
-        // Calculate other stats
+        // Calculate other stats; robots mow in parallel, so the slowest one sets the time
         const pathLength = this.calculatePathLength();
-        const estimatedTime = this.calculateEstimatedTime(pathLength);
+        const estimatedTime = this.canvas.robotPlans.length > 1
+            ? this.formatDuration(Math.max(...this.canvas.robotPlans.map(plan => this.robotTime(plan))))
+            : this.calculateEstimatedTime(pathLength);
         
         // Update UI
         document.getElementById('pathLength').textContent = `${pathLength} m`;
@@ -508,11 +948,90 @@ class ControlsManager {
             estimatedTimeElement.textContent = estimatedTime;
         }
         
+        // Update sweep direction chosen by the planner
+        const sweepAngleElement = document.getElementById('sweepAngleValue');
+        if (sweepAngleElement) {
+            const sweepAngle = this.canvas.planStats ? this.canvas.planStats.sweepAngle : null;
+            sweepAngleElement.textContent = sweepAngle !== null && sweepAngle !== undefined ? `${sweepAngle}°` : '-';
+        }
+        
+        // Update share of the free area the mower deck passes over
+        const coverageElement = document.getElementById('coverageValue');
+        if (coverageElement) {
+            const coverage = this.canvas.planStats ? this.canvas.planStats.coverage : undefined;
+            coverageElement.textContent = coverage !== undefined ? `${(coverage * 100).toFixed(1)}%` : '-';
+        }
+        
+        // Update transit distance between cells
+        const transitElement = document.getElementById('transitDistance');
+        if (transitElement) {
+            const transitLength = this.canvas.planStats ? this.canvas.planStats.transitLength : 0;
+            transitElement.textContent = `${this.canvas.canvasToMeters(transitLength)} m`;
+        }
+        
+        // Update headland lap length
+        const headlandElement = document.getElementById('headlandLength');
+        if (headlandElement) {
+            const headlandLength = this.canvas.planStats ? this.canvas.planStats.headlandLength : 0;
+            headlandElement.textContent = `${this.canvas.canvasToMeters(headlandLength)} m`;
+        }
+        
+        // Update corners left as three-point turns
+        const threePointElement = document.getElementById('threePointTurns');
+        if (threePointElement) {
+            threePointElement.textContent = this.canvas.threePointTurns.length;
+        }
+        
+        // Update decomposition cell count
+        const cellCountElement = document.getElementById('cellCount');
+        if (cellCountElement) {
+            cellCountElement.textContent = this.canvas.planCells.length;
+        }
+        
         // Update useful area
         const usefulAreaElement = document.getElementById('usefulArea');
         if (usefulAreaElement) {
             usefulAreaElement.textContent = `${usefulArea} m²`;
         }
+        
+        // Show whether the plan came from the server's plan cache
+        const cachedBadge = document.getElementById('planCachedBadge');
+        if (cachedBadge) {
+            cachedBadge.style.display = this.canvas.planCached && this.canvas.plannedPath.length > 0 ? '' : 'none';
+        }
+        
+        this.updateRobotList();
+    }
+    
+    // One status row per robot when the area is split: planned share before a run, live state during it
+    updateRobotList() {
+        const listContainer = document.getElementById('robotList');
+        if (!listContainer) return;
+        
+        const plans = this.canvas.robotPlans;
+        if (plans.length < 2) {
+            listContainer.innerHTML = '';
+            return;
+        }
+        
+        listContainer.innerHTML = plans.map((plan, index) => {
+            const robot = this.robots[index];
+            const time = this.formatDuration(this.robotTime(plan));
+            const share = plan.area !== undefined ? `${(plan.area / (50 * 50)).toFixed(1)} m², ${time}` : time;
+            const status = robot ? `${robot.state} ${robot.progress.toFixed(1)}%` : share;
+            return `
+                <div class="status-item robot-item" style="border-left-color: ${this.canvas.robotColor(index)};" title="${share}">
+                    <span class="status-label">R${index + 1}</span>
+                    <span class="status-value">${status}</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Seconds for one robot's share: the planner's estimate (which also counts stops at sharp
+    // corners and is what 'Equal time' balances), or driving time for imported paths
+    robotTime(plan) {
+        return plan.time !== undefined ? plan.time : Geometry.pathLength(plan.path) / 50 / 0.5;
     }
     
     calculateObstaclesArea() {
@@ -608,6 +1127,11 @@ class ControlsManager {
     }
     
     calculatePathLength() {
+        if (this.canvas.robotPlans.length > 1) {
+            const total = this.canvas.robotPlans.reduce((sum, plan) => sum + Geometry.pathLength(plan.path), 0);
+            return (total / 50).toFixed(1);
+        }
+        
         const path = this.canvas.plannedPath;
         if (path.length < 2) return '0.0';
         
@@ -626,7 +1150,12 @@ class ControlsManager {
         if (pathLengthM === '0.0') return '0:00';
         
         const speedMps = 0.5; // 0.5 m/s average robot speed
-        const totalSeconds = Math.round(parseFloat(pathLengthM) / speedMps);
+        return this.formatDuration(parseFloat(pathLengthM) / speedMps);
+    }
+    
+    // Seconds as m:ss
+    formatDuration(duration) {
+        const totalSeconds = Math.round(duration);
         const minutes = Math.floor(totalSeconds / 60);
         const seconds = totalSeconds % 60;
         
@@ -651,5 +1180,7 @@ class ControlsManager {
         if (speed !== null) {
             document.getElementById('robotSpeed').textContent = `${(speed * 0.1).toFixed(1)} m/s`;
         }
+        
+        this.telemetry?.updateStatus(state, position, progress, speed);
     }
 }
@@ -0,0 +1,161 @@
+/**
+ * Geometry helpers for BladeOfGrass Path Planning Prototype
+ * Pure functions on canvas-pixel points ({ x, y }) shared by the planner and the UI
+ */
+
+class Geometry {
+    static distance(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // Total length of an open polyline in pixels
+    static pathLength(path) {
+        let length = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            length += Geometry.distance(path[i], path[i + 1]);
+        }
+        return length;
+    }
+
+    // Same polyline with extra points so that no segment is longer than maxStep
+    static subdividePath(path, maxStep) {
+        const result = path.slice(0, 1);
+        for (let i = 0; i < path.length - 1; i++) {
+            const pieces = Math.max(1, Math.ceil(Geometry.distance(path[i], path[i + 1]) / maxStep));
+            for (let k = 1; k <= pieces; k++) {
+                result.push(k === pieces ? path[i + 1] : {
+                    x: path[i].x + (path[i + 1].x - path[i].x) * k / pieces,
+                    y: path[i].y + (path[i + 1].y - path[i].y) * k / pieces
+                });
+            }
+        }
+        return result;
+    }
+
+    // Absolute heading change in radians when driving a -> b -> c
+    static turnAngle(a, b, c) {
+        const first = Math.atan2(b.y - a.y, b.x - a.x);
+        const second = Math.atan2(c.y - b.y, c.x - b.x);
+        let delta = Math.abs(second - first);
+        if (delta > Math.PI) delta = 2 * Math.PI - delta;
+        return delta;
+    }
+
+    // Signed shoelace area (positive when vertices run clockwise on screen)
+    static signedArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const j = (i + 1) % points.length;
+            area += points[i].x * points[j].y - points[j].x * points[i].y;
+        }
+        return area / 2;
+    }
+
+    static polygonArea(points) {
+        return points.length < 3 ? 0 : Math.abs(Geometry.signedArea(points));
+    }
+
+    static isPointInPolygon(point, polygon) {
+        if (polygon.length < 3) return false;
+
+        let inside = false;
+        let j = polygon.length - 1;
+
+        for (let i = 0; i < polygon.length; i++) {
+            const xi = polygon[i].x;
+            const yi = polygon[i].y;
+            const xj = polygon[j].x;
+            const yj = polygon[j].y;
+
+            if (((yi > point.y) !== (yj > point.y)) &&
+                (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+            j = i;
+        }
+
+        return inside;
+    }
+
+    // Shortest distance from a point to segment a-b
+    static pointSegmentDistance(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        let t = lengthSquared > 0 ? ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared : 0;
+        t = Math.max(0, Math.min(1, t));
+        return Geometry.distance(point, { x: a.x + t * dx, y: a.y + t * dy });
+    }
+
+    // Shortest distance between segments a-b and c-d (0 when they cross)
+    static segmentDistance(a, b, c, d) {
+        if (Geometry.segmentIntersection(a, b, c, d)) return 0;
+        return Math.min(
+            Geometry.pointSegmentDistance(a, c, d),
+            Geometry.pointSegmentDistance(b, c, d),
+            Geometry.pointSegmentDistance(c, a, b),
+            Geometry.pointSegmentDistance(d, a, b)
+        );
+    }
+
+    // True when two polygons overlap or touch (one inside the other counts)
+    static polygonsIntersect(a, b) {
+        if (a.some(point => Geometry.isPointInPolygon(point, b))) return true;
+        if (b.some(point => Geometry.isPointInPolygon(point, a))) return true;
+        const edgesB = Geometry.polygonEdges(b);
+        return Geometry.polygonEdges(a).some(edgeA =>
+            edgesB.some(edgeB => Geometry.segmentIntersection(edgeA.a, edgeA.b, edgeB.a, edgeB.b))
+        );
+    }
+
+    // Closed polygon as a list of { a, b } edges
+    static polygonEdges(points) {
+        return points.map((point, i) => ({ a: point, b: points[(i + 1) % points.length] }));
+    }
+
+    // Y coordinate of a (non-vertical) edge at the given x
+    static edgeYAt(edge, x) {
+        const t = (x - edge.a.x) / (edge.b.x - edge.a.x);
+        return edge.a.y + t * (edge.b.y - edge.a.y);
+    }
+
+    // Intersection point of segments p1-p2 and p3-p4, or null (parallel segments never intersect)
+    static segmentIntersection(p1, p2, p3, p4) {
+        const d = (p2.x - p1.x) * (p4.y - p3.y) - (p2.y - p1.y) * (p4.x - p3.x);
+        if (Math.abs(d) < 1e-12) return null;
+
+        const t = ((p3.x - p1.x) * (p4.y - p3.y) - (p3.y - p1.y) * (p4.x - p3.x)) / d;
+        const u = ((p3.x - p1.x) * (p2.y - p1.y) - (p3.y - p1.y) * (p2.x - p1.x)) / d;
+        if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+        return {
+            x: p1.x + t * (p2.x - p1.x),
+            y: p1.y + t * (p2.y - p1.y),
+            t: t
+        };
+    }
+
+    static rotatePoint(point, angle, origin = { x: 0, y: 0 }) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = point.x - origin.x;
+        const dy = point.y - origin.y;
+        return {
+            x: origin.x + dx * cos - dy * sin,
+            y: origin.y + dx * sin + dy * cos
+        };
+    }
+
+    static boundingBox(points) {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        points.forEach(point => {
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        });
+        return { minX, maxX, minY, maxY };
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * Footprint Offset for BladeOfGrass Path Planning Prototype
+ * Shrinks the boundary and grows the obstacles by the robot clearance (radius + safety margin)
+ *
+ * The offset is taken from a sampled distance field: every grid node stores its distance to
+ * the nearest boundary/obstacle edge (negative when blocked). Marching squares traces the
+ * contour at the clearance, which rounds convex obstacle corners, keeps concave boundary
+ * corners sharp and merges obstacles whose grown shapes overlap. Contours are simplified
+ * before they reach the planner.
+ */
+
+class PolygonOffset {
+    // Free space for the robot center: { boundary, obstacles } (or a null boundary when nothing fits)
+    static freeSpace(boundary, obstacles, clearance, options = {}) {
+        return PolygonOffset.largestRegion(PolygonOffset.contourLevels(boundary, obstacles, [clearance], options)[0]);
+    }
+
+    // Free space at several clearances (headland laps), tracing one shared distance field: for each
+    // clearance a list of regions, largest first. The robot center can only travel inside the largest
+    // region of the first clearance, so deeper regions outside it (cut-off pockets) are dropped.
+    static freeSpaces(boundary, obstacles, clearances, options = {}) {
+        const levels = PolygonOffset.contourLevels(boundary, obstacles, clearances, options)
+            .map(loops => PolygonOffset.regions(loops));
+        const reachable = levels[0][0];
+        if (!reachable) return levels.map(() => []);
+
+        return levels.map((regions, level) => level === 0 ? [reachable] : regions.filter(region =>
+            Geometry.isPointInPolygon(region.boundary[0], reachable.boundary) &&
+            !reachable.obstacles.some(hole => Geometry.isPointInPolygon(region.boundary[0], hole))
+        ));
+    }
+
+    // Simplified contour loops at each clearance, every region kept (outer edges and holes mixed)
+    static contourLevels(boundary, obstacles, clearances, options = {}) {
+        const bbox = Geometry.boundingBox(boundary);
+        const size = Math.max(bbox.maxX - bbox.minX, bbox.maxY - bbox.minY);
+        const step = options.step || Math.min(8, Math.max(2, size / 200)); // grid spacing in pixels
+        const tolerance = options.tolerance || 0.5; // simplification tolerance in pixels
+
+        const field = PolygonOffset.distanceField(boundary, obstacles, bbox, step);
+        const edges = PolygonOffset.edges(boundary, obstacles);
+        const clearanceAt = point => PolygonOffset.signedDistance(point, boundary, obstacles, edges);
+        return clearances.map(clearance =>
+            // Simplified contours may cut up to one tolerance into blocked space, so trace a little further out
+            PolygonOffset.traceContours(field, clearance + tolerance)
+                .map(loop => PolygonOffset.simplify(loop, tolerance))
+                .map(loop => PolygonOffset.sharpenCorners(loop, clearanceAt, clearance, step))
+                .filter(loop => loop.length >= 3 && Geometry.polygonArea(loop) > step * step)
+        );
+    }
+
+    static edges(boundary, obstacles) {
+        return [
+            ...Geometry.polygonEdges(boundary),
+            ...obstacles.flatMap(points => Geometry.polygonEdges(points))
+        ];
+    }
+
+    // Distance from a point to the nearest edge, negative outside the boundary or inside an obstacle
+    static signedDistance(point, boundary, obstacles, edges) {
+        const free = Geometry.isPointInPolygon(point, boundary) &&
+            !obstacles.some(points => Geometry.isPointInPolygon(point, points));
+
+        let distance = Infinity;
+        for (let k = 0; k < edges.length; k++) {
+            distance = Math.min(distance, Geometry.pointSegmentDistance(point, edges[k].a, edges[k].b));
+        }
+        return free ? distance : -distance;
+    }
+
+    // Signed distance to the nearest edge on a grid (negative outside the boundary or inside obstacles)
+    static distanceField(boundary, obstacles, bbox, step) {
+        const edges = PolygonOffset.edges(boundary, obstacles);
+
+        // Two rows of padding keep the field negative all around, so every contour closes
+        const originX = bbox.minX - 2 * step;
+        const originY = bbox.minY - 2 * step;
+        const nx = Math.ceil((bbox.maxX - bbox.minX) / step) + 4;
+        const ny = Math.ceil((bbox.maxY - bbox.minY) / step) + 4;
+
+        const values = [];
+        for (let j = 0; j <= ny; j++) {
+            const row = new Float64Array(nx + 1);
+            for (let i = 0; i <= nx; i++) {
+                const point = { x: originX + i * step, y: originY + j * step };
+                row[i] = PolygonOffset.signedDistance(point, boundary, obstacles, edges);
+            }
+            values.push(row);
+        }
+
+        return { values, originX, originY, step, nx, ny };
+    }
+
+    // Marching squares over the field at the given level; returns closed loops of points
+    static traceContours(field, level) {
+        const { originX, originY, step, nx, ny } = field;
+        const values = field.values.map(row => row.map(value => value - level));
+        const inside = (i, j) => values[j][i] > 0;
+
+        // Crossing point on the grid edge between two nodes
+        const crossing = (i0, j0, i1, j1) => {
+            const v0 = values[j0][i0];
+            const v1 = values[j1][i1];
+            const t = v0 / (v0 - v1);
+            return {
+                x: originX + (i0 + t * (i1 - i0)) * step,
+                y: originY + (j0 + t * (j1 - j0)) * step
+            };
+        };
+
+        const points = new Map();
+        const links = new Map();
+        const link = (a, b) => {
+            if (!links.has(a)) links.set(a, []);
+            if (!links.has(b)) links.set(b, []);
+            links.get(a).push(b);
+            links.get(b).push(a);
+        };
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                // Corners: 0 top-left, 1 top-right, 2 bottom-right, 3 bottom-left
+                const corners = [inside(i, j), inside(i + 1, j), inside(i + 1, j + 1), inside(i, j + 1)];
+                const sides = [
+                    { key: `h:${i}:${j}`, nodes: [i, j, i + 1, j], corners: [0, 1] },
+                    { key: `v:${i + 1}:${j}`, nodes: [i + 1, j, i + 1, j + 1], corners: [1, 2] },
+                    { key: `h:${i}:${j + 1}`, nodes: [i, j + 1, i + 1, j + 1], corners: [3, 2] },
+                    { key: `v:${i}:${j}`, nodes: [i, j, i, j + 1], corners: [0, 3] }
+                ];
+
+                const cut = sides.filter(side => corners[side.corners[0]] !== corners[side.corners[1]]);
+                cut.forEach(side => {
+                    if (!points.has(side.key)) points.set(side.key, crossing(...side.nodes));
+                });
+
+                if (cut.length === 2) {
+                    link(cut[0].key, cut[1].key);
+                } else if (cut.length === 4) {
+                    // Saddle: cut off the two corners that disagree with the cell center
+                    const center = (values[j][i] + values[j][i + 1] + values[j + 1][i + 1] + values[j + 1][i]) / 4 > 0;
+                    [0, 1, 2, 3].filter(corner => corners[corner] !== center).forEach(corner => {
+                        const adjacent = cut.filter(side => side.corners.includes(corner));
+                        link(adjacent[0].key, adjacent[1].key);
+                    });
+                }
+            }
+        }
+
+        // Walk the links into closed loops
+        const loops = [];
+        const visited = new Set();
+        links.forEach((neighbors, start) => {
+            if (visited.has(start)) return;
+
+            const loop = [];
+            let previous = null;
+            let current = start;
+            while (current && !visited.has(current)) {
+                visited.add(current);
+                loop.push(points.get(current));
+                const next = links.get(current).find(key => key !== previous && !visited.has(key));
+                previous = current;
+                current = next;
+            }
+            loops.push(loop);
+        });
+
+        return loops;
+    }
+
+    // Douglas-Peucker on a closed loop, split at its two farthest-apart points
+    static simplify(loop, tolerance) {
+        if (loop.length < 4) return loop;
+
+        let far = 0;
+        loop.forEach((point, i) => {
+            if (Geometry.distance(loop[0], point) > Geometry.distance(loop[0], loop[far])) far = i;
+        });
+
+        const first = PolygonOffset.simplifyOpen(loop.slice(0, far + 1), tolerance);
+        const second = PolygonOffset.simplifyOpen([...loop.slice(far), loop[0]], tolerance);
+        return [...first.slice(0, -1), ...second.slice(0, -1)];
+    }
+
+    static simplifyOpen(points, tolerance) {
+        if (points.length < 3) return points;
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        let index = 0;
+        let maxDistance = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const distance = Geometry.pointSegmentDistance(points[i], first, last);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance <= tolerance) return [first, last];
+
+        const left = PolygonOffset.simplifyOpen(points.slice(0, index + 1), tolerance);
+        const right = PolygonOffset.simplifyOpen(points.slice(index), tolerance);
+        return [...left.slice(0, -1), ...right];
+    }
+
+    // Marching squares bevels a sharp corner into one or a few short edges about a grid step long.
+    // Where the two neighbouring edges, extended, meet at a point that still has the full clearance,
+    // the bevel is replaced by that point, so sharpening never brings the loop closer to an edge.
+    static sharpenCorners(loop, clearanceAt, clearance, step) {
+        const n = loop.length;
+        const at = index => loop[index % n];
+        const sharpened = [];
+        let first = 0; // points at the start of the loop taken by a bevel that wraps around
+        for (let i = 0; i < n - first; i++) {
+            const corner = n > 4 && PolygonOffset.sharpCorner(loop, i, clearanceAt, clearance, step);
+            if (corner) {
+                sharpened.push(corner.point);
+                i += corner.edges;
+                if (i >= n) first = i - n + 1;
+            } else {
+                sharpened.push(at(i));
+            }
+        }
+        return sharpened.slice(first);
+    }
+
+    // Mitre point replacing the short edges that start at loop[i], or null
+    static sharpCorner(loop, i, clearanceAt, clearance, step) {
+        const n = loop.length;
+        const at = index => loop[(index + n) % n];
+        for (let edges = 1; edges <= 3; edges++) {
+            const run = [];
+            for (let k = 0; k < edges; k++) run.push(Geometry.distance(at(i + k), at(i + k + 1)));
+            if (run.some(length => length > 2 * step)) return null;
+
+            const length = run.reduce((sum, value) => sum + value, 0);
+            const before = at(i - 1);
+            const after = at(i + edges + 1);
+            if (Geometry.distance(before, at(i)) <= 2 * length || Geometry.distance(at(i + edges), after) <= 2 * length) continue;
+
+            const point = PolygonOffset.lineIntersection(before, at(i), at(i + edges), after);
+            if (point && Geometry.distance(point, at(i)) <= 2 * length && clearanceAt(point) >= clearance) {
+                return { point, edges };
+            }
+            return null;
+        }
+        return null;
+    }
+
+    // Crossing point of the lines through p1-p2 and p3-p4, or null when they are (nearly) parallel
+    static lineIntersection(p1, p2, p3, p4) {
+        const d1 = { x: p2.x - p1.x, y: p2.y - p1.y };
+        const d2 = { x: p4.x - p3.x, y: p4.y - p3.y };
+        const cross = d1.x * d2.y - d1.y * d2.x;
+        if (Math.abs(cross) < 1e-9 * Math.hypot(d1.x, d1.y) * Math.hypot(d2.x, d2.y)) return null;
+
+        const t = ((p3.x - p1.x) * d2.y - (p3.y - p1.y) * d2.x) / cross;
+        return { x: p1.x + t * d1.x, y: p1.y + t * d1.y };
+    }
+
+    // Number of other loops around each loop: even depth is an outer edge of free space, odd depth a hole
+    static nestingDepths(loops) {
+        return loops.map(loop => loops.filter(other =>
+            other !== loop && Geometry.isPointInPolygon(loop[0], other)
+        ).length);
+    }
+
+    // Every outer loop with its holes as { boundary, obstacles }, largest first
+    static regions(loops) {
+        const depth = PolygonOffset.nestingDepths(loops);
+
+        return loops
+            .filter((loop, i) => depth[i] % 2 === 0)
+            .sort((a, b) => Geometry.polygonArea(b) - Geometry.polygonArea(a))
+            .map(outer => {
+                const outerDepth = depth[loops.indexOf(outer)];
+                const holes = loops.filter((loop, i) =>
+                    depth[i] === outerDepth + 1 && Geometry.isPointInPolygon(loop[0], outer)
+                );
+                return { boundary: outer, obstacles: holes };
+            });
+    }
+
+    // Largest outer loop and its holes (or a null boundary when there is none)
+    static largestRegion(loops) {
+        return PolygonOffset.regions(loops)[0] || { boundary: null, obstacles: [] };
+    }
+}
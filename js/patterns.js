@@ -0,0 +1,325 @@
+/**
+ * Alternative Coverage Patterns for BladeOfGrass Path Planning Prototype
+ * Spiral, concentric and random-bounce paths to compare against boustrophedon stripes
+ *
+ * Spiral and concentric both drive rings: the free-space contours one stripe spacing apart,
+ * from the boundary inward. Concentric closes every ring and moves in with a transit; spiral
+ * blends each ring into the next over one revolution where the two run parallel. Rings around
+ * obstacles follow, nearest first. Random bounce drives straight until the free-space edge, turns to a random free
+ * direction and repeats until the target coverage or the length budget is reached.
+ * Every pattern returns the planner's { path, sections } format.
+ */
+
+class CoveragePatterns {
+    constructor(planner, options = {}) {
+        this.planner = planner; // CoveragePlanner: spacing, clearance and section helpers
+        this.random = options.random || CoveragePatterns.seededRandom(options.seed || 1);
+        this.bounceCoverage = options.bounceCoverage || 0.95; // fraction of free space random bounce aims for
+        this.bounceBudget = options.bounceBudget || 8; // maximum length, in multiples of a stripe pattern's length
+    }
+
+    // Free-space contours one stripe spacing apart, from the clearance inward, as a tree of
+    // { points, children, holes }: each outer ring lists the rings inside it at the next level
+    // (several where the area splits) and the rings around obstacles at its own level.
+    // Returns { root, offset }: the largest ring at the clearance and the free space there.
+    rings(boundary, obstacles) {
+        const spacing = this.planner.stripeSpacing;
+        const bbox = Geometry.boundingBox(boundary);
+        const count = Math.ceil(Math.min(bbox.maxX - bbox.minX, bbox.maxY - bbox.minY) / 2 / spacing) + 1;
+        const levels = [];
+        for (let i = 0; i < count; i++) {
+            levels.push(this.planner.clearance + i * spacing);
+        }
+
+        const contours = PolygonOffset.contourLevels(boundary, obstacles, levels);
+        const offset = PolygonOffset.largestRegion(contours[0] || []);
+        if (!offset.boundary) return { root: null, offset };
+
+        const root = { points: offset.boundary, children: [], holes: [] };
+        let previous = [root];
+        contours.forEach((loops, level) => {
+            const depths = PolygonOffset.nestingDepths(loops);
+            const current = level === 0 ? [root] : [];
+
+            // Outer rings hang under the ring around them one level out
+            loops.forEach((points, i) => {
+                if (level === 0 || depths[i] % 2 === 1) return;
+                const parent = previous.find(node => Geometry.isPointInPolygon(points[0], node.points));
+                if (parent) {
+                    const node = { points, children: [], holes: [] };
+                    parent.children.push(node);
+                    current.push(node);
+                }
+            });
+
+            // Obstacle rings belong to the outer ring they lie in
+            loops.forEach((points, i) => {
+                if (depths[i] % 2 === 0) return;
+                const owner = current.find(node => Geometry.isPointInPolygon(points[0], node.points));
+                if (owner) owner.holes.push(points);
+            });
+            previous = current;
+        });
+
+        return { root, offset };
+    }
+
+    // Rings around obstacles in the parts of the tree under `node`
+    static holesUnder(node) {
+        return [...node.holes, ...node.children.flatMap(child => CoveragePatterns.holesUnder(child))];
+    }
+
+    // Closed rings from the outside in, finishing each split-off part before the next, then around the obstacles
+    concentric(rings, router, start) {
+        const plan = { path: [], sections: [] };
+        let position = start;
+
+        const visit = (nodes) => {
+            this.nearestFirst(nodes, () => position).forEach(node => {
+                position = this.planner.appendLaps(plan, [node.points], router, position, 'coverage');
+                visit(node.children);
+            });
+        };
+        visit([rings.root]);
+
+        this.planner.appendLaps(plan, CoveragePatterns.holesUnder(rings.root), router, position, 'coverage', true);
+        return plan;
+    }
+
+    // Continuous inward spirals: a closed lap on the outer ring of each part, then every ring
+    // blends into its inner ring over one revolution, so neighboring revolutions stay one
+    // stripe spacing apart. The innermost ring closes with a lap of its own.
+    spiral(rings, router, start) {
+        const plan = { path: [], sections: [] };
+        const spacing = this.planner.stripeSpacing;
+        const orientation = Math.sign(Geometry.signedArea(rings.root.points));
+        const oriented = points => Math.sign(Geometry.signedArea(points)) === orientation ? points : [...points].reverse();
+        let position = start;
+        let blendedInto = null;
+
+        const visit = (nodes) => {
+            this.nearestFirst(nodes, () => position).forEach(node => {
+                // Drive every ring the same way round, starting at the point nearest the robot
+                const ring = oriented(node.points);
+                const count = Math.max(16, Math.ceil(Geometry.pathLength([...ring, ring[0]]) / 10));
+                const current = CoveragePatterns.resample(ring, position, count);
+                const entered = node === blendedInto;
+                if (!entered && plan.path.length > 0) {
+                    this.planner.appendSection(plan, this.planner.transitRoute(router, position, current[0]), 'transit');
+                }
+
+                // Blend toward the nearest inner ring when it runs parallel and the blend is clear
+                let blend = null;
+                const inner = this.nearestFirst(node.children, () => current[0])[0];
+                if (inner) {
+                    const innerEdges = Geometry.polygonEdges(inner.points);
+                    const parallel = current.every(point =>
+                        Math.min(...innerEdges.map(edge => Geometry.pointSegmentDistance(point, edge.a, edge.b))) <= spacing * 1.5);
+                    const next = CoveragePatterns.resample(oriented(inner.points), current[0], count);
+                    const candidate = current.map((point, k) => {
+                        const t = k / count;
+                        return { x: point.x + (next[k].x - point.x) * t, y: point.y + (next[k].y - point.y) * t };
+                    });
+                    if (parallel && candidate.every((point, k) => k === 0 || router.isClear(candidate[k - 1], point))) {
+                        blend = candidate;
+                    }
+                }
+
+                // Closed lap where the spiral starts or ends, then the blend
+                if (!entered || !blend) this.planner.appendSection(plan, current, 'coverage');
+                if (blend) this.planner.appendSection(plan, blend, 'coverage');
+                position = blend ? blend[blend.length - 1] : current[current.length - 1];
+                blendedInto = blend ? inner : null;
+                visit(node.children);
+            });
+        };
+        visit([rings.root]);
+
+        this.planner.appendLaps(plan, CoveragePatterns.holesUnder(rings.root), router, position, 'coverage', true);
+        return plan;
+    }
+
+    // Ring nodes ordered by repeatedly taking the one nearest the robot's position at that time
+    nearestFirst(nodes, position) {
+        const remaining = [...nodes];
+        const order = [];
+        const distanceTo = node => Math.min(...node.points.map(point => Geometry.distance(position(), point)));
+        while (remaining.length > 0) {
+            const nearest = remaining.reduce((best, node) => distanceTo(node) < distanceTo(best) ? node : best);
+            remaining.splice(remaining.indexOf(nearest), 1);
+            order.push(nearest);
+        }
+        return order;
+    }
+
+    // Straight runs between random bounces inside the free space ({ boundary, obstacles })
+    randomBounce(space, router, start) {
+        const plan = { path: [], sections: [] };
+        const edges = [
+            ...Geometry.polygonEdges(space.boundary),
+            ...space.obstacles.flatMap(points => Geometry.polygonEdges(points))
+        ];
+        const isFree = point => Geometry.isPointInPolygon(point, space.boundary) &&
+            !space.obstacles.some(points => Geometry.isPointInPolygon(point, points));
+
+        // Coverage is tracked on the region the robot center can reach, so the target is attainable
+        const spacing = this.planner.stripeSpacing;
+        const grid = new CoverageGrid(space.boundary, space.obstacles, spacing / 4);
+        const bbox = Geometry.boundingBox(space.boundary);
+        const reach = Math.hypot(bbox.maxX - bbox.minX, bbox.maxY - bbox.minY);
+        const budget = this.bounceBudget * grid.freeArea() / spacing;
+
+        // Enter the free space at the corner nearest the start
+        let position = space.boundary.reduce((best, point) =>
+            Geometry.distance(start, point) < Geometry.distance(start, best) ? point : best);
+        plan.path.push(position);
+        let length = 0;
+
+        for (let bounce = 0; bounce < 10000 && grid.fraction() < this.bounceCoverage && length < budget; bounce++) {
+            // Random heading that leads into free space
+            let direction = null;
+            for (let attempt = 0; attempt < 50 && !direction; attempt++) {
+                const angle = this.random() * 2 * Math.PI;
+                const candidate = { x: Math.cos(angle), y: Math.sin(angle) };
+                if (isFree({ x: position.x + candidate.x * 2, y: position.y + candidate.y * 2 })) direction = candidate;
+            }
+            if (!direction) break;
+
+            // Drive until the first free-space edge, stopping just short of it
+            const far = { x: position.x + direction.x * reach, y: position.y + direction.y * reach };
+            let hit = 1;
+            edges.forEach(edge => {
+                const crossing = Geometry.segmentIntersection(position, far, edge.a, edge.b);
+                if (crossing && crossing.t * reach > 1 && crossing.t < hit) hit = crossing.t;
+            });
+            const run = Math.max(0, hit * reach - 1);
+            const next = { x: position.x + direction.x * run, y: position.y + direction.y * run };
+            if (run < 1 || !router.isClear(position, next)) continue;
+
+            grid.cover(position, next, spacing / 2);
+            this.planner.appendSection(plan, [position, next], 'coverage');
+            length += run;
+            position = next;
+        }
+
+        return plan.path.length > 1 ? plan : { path: [], sections: [] };
+    }
+
+    // `count` points spaced evenly along a closed loop, starting at its point nearest `from`
+    static resample(loop, from, count) {
+        let first = 0;
+        loop.forEach((point, i) => {
+            if (Geometry.distance(from, point) < Geometry.distance(from, loop[first])) first = i;
+        });
+        const closed = [...loop.slice(first), ...loop.slice(0, first + 1)];
+        const total = Geometry.pathLength(closed);
+
+        const points = [];
+        let segment = 0;
+        let walked = 0; // length before the current segment
+        for (let k = 0; k <= count; k++) {
+            const target = total * k / count;
+            while (segment < closed.length - 2 && walked + Geometry.distance(closed[segment], closed[segment + 1]) < target) {
+                walked += Geometry.distance(closed[segment], closed[segment + 1]);
+                segment++;
+            }
+            const a = closed[segment];
+            const b = closed[segment + 1];
+            const t = Math.min(1, (target - walked) / Math.max(Geometry.distance(a, b), 1e-9));
+            points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+        return points;
+    }
+
+    // Repeatable pseudo-random numbers in [0, 1) (mulberry32), so patterns compare on equal terms
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Sampled free space that records which grid nodes a path has mowed
+class CoverageGrid {
+    constructor(boundary, obstacles, step) {
+        const bbox = Geometry.boundingBox(boundary);
+        this.step = step;
+        this.originX = bbox.minX + step / 2;
+        this.originY = bbox.minY + step / 2;
+        this.nx = Math.max(1, Math.ceil((bbox.maxX - bbox.minX) / step));
+        this.ny = Math.max(1, Math.ceil((bbox.maxY - bbox.minY) / step));
+        this.free = new Uint8Array(this.nx * this.ny);
+        this.covered = new Uint8Array(this.nx * this.ny);
+        this.freeCount = 0;
+        this.coveredCount = 0;
+
+        for (let j = 0; j < this.ny; j++) {
+            for (let i = 0; i < this.nx; i++) {
+                const point = this.node(i, j);
+                if (Geometry.isPointInPolygon(point, boundary) &&
+                    !obstacles.some(points => Geometry.isPointInPolygon(point, points))) {
+                    this.free[j * this.nx + i] = 1;
+                    this.freeCount++;
+                }
+            }
+        }
+    }
+
+    node(i, j) {
+        return { x: this.originX + i * this.step, y: this.originY + j * this.step };
+    }
+
+    // Mark free nodes within `radius` of the segment a-b
+    cover(a, b, radius) {
+        // A long diagonal segment is covered in pieces, so the scanned boxes stay close to it
+        const pieces = Math.ceil(Geometry.distance(a, b) / (4 * Math.max(radius, this.step)));
+        if (pieces > 1) {
+            const at = t => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+            for (let k = 0; k < pieces; k++) {
+                this.cover(at(k / pieces), at((k + 1) / pieces), radius);
+            }
+            return;
+        }
+
+        const i0 = Math.max(0, Math.floor((Math.min(a.x, b.x) - radius - this.originX) / this.step));
+        const i1 = Math.min(this.nx - 1, Math.ceil((Math.max(a.x, b.x) + radius - this.originX) / this.step));
+        const j0 = Math.max(0, Math.floor((Math.min(a.y, b.y) - radius - this.originY) / this.step));
+        const j1 = Math.min(this.ny - 1, Math.ceil((Math.max(a.y, b.y) + radius - this.originY) / this.step));
+        for (let j = j0; j <= j1; j++) {
+            for (let i = i0; i <= i1; i++) {
+                const index = j * this.nx + i;
+                if (this.free[index] && !this.covered[index] &&
+                    Geometry.pointSegmentDistance(this.node(i, j), a, b) <= radius) {
+                    this.covered[index] = 1;
+                    this.coveredCount++;
+                }
+            }
+        }
+    }
+
+    // Forget what was mowed, keeping the sampled free space
+    clear() {
+        this.covered.fill(0);
+        this.coveredCount = 0;
+    }
+
+    coverPath(path, radius) {
+        for (let i = 0; i < path.length - 1; i++) {
+            this.cover(path[i], path[i + 1], radius);
+        }
+    }
+
+    fraction() {
+        return this.freeCount > 0 ? this.coveredCount / this.freeCount : 0;
+    }
+
+    // Square pixels of free space
+    freeArea() {
+        return this.freeCount * this.step * this.step;
+    }
+}
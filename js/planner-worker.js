@@ -0,0 +1,28 @@
+/**
+ * Planning Worker for BladeOfGrass Path Planning Prototype
+ * Runs CoveragePlanner off the UI thread so large yards do not freeze the page
+ *
+ * Messages in:  { type: 'plan', boundaryData, options }
+ * Messages out: { type: 'progress', stage, fraction }
+ *               { type: 'result', result }
+ *               { type: 'error', message }
+ * The page starts one worker per plan and terminates it to cancel or time out.
+ */
+
+importScripts('geometry.js', 'offset.js', 'router.js', 'smoothing.js', 'patterns.js', 'planner.js');
+
+self.onmessage = (event) => {
+    const { type, boundaryData, options } = event.data;
+    if (type !== 'plan') return;
+
+    try {
+        const planner = new CoveragePlanner({
+            ...options,
+            onProgress: (stage, fraction) => self.postMessage({ type: 'progress', stage, fraction })
+        });
+        const result = planner.plan(boundaryData);
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
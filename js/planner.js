@@ -0,0 +1,1038 @@
+/**
+ * Coverage Planner for BladeOfGrass Path Planning Prototype
+ * Boustrophedon cell decomposition (see docs/algorithms.md, "Trapezoidal Decomposition")
+ *
+ * The sweep line runs left to right. Every vertex (and every edge crossing) is an event;
+ * between two consecutive events the free space is a stack of trapezoids bounded by a
+ * floor edge (smaller y) and a ceiling edge (larger y). Trapezoids that continue one-to-one
+ * across an event are merged into the same cell, so new cells only start where the
+ * connectivity changes (OPEN/CLOSE at the ends, IN/OUT where a cell splits or merges
+ * around an obstacle).
+ *
+ * Other stripe directions are planned by rotating the scene so the stripes become vertical,
+ * planning there, and rotating the result back.
+ */
+
+class CoveragePlanner {
+    constructor(options = {}) {
+        this.pattern = options.pattern || 'boustrophedon'; // boustrophedon, spiral, concentric or random
+        this.stripeSpacing = options.stripeSpacing || 40; // pixels between stripes
+        this.cuttingWidth = options.cuttingWidth || this.stripeSpacing; // pixels mowed along the path
+        this.seed = options.seed || 1; // random bounce: the same seed drives the same path
+        this.margin = options.margin !== undefined ? options.margin : 20; // stripe end clearance in pixels
+        this.clearance = options.clearance || 0; // robot radius + safety margin in pixels; offsets the polygons
+        this.headlandLaps = options.headlandLaps || 0; // laps along the boundary and obstacles before the stripes
+        this.turnRadius = options.turnRadius || 0; // pixels (MIN_TURN_RADIUS_M); 0 keeps sharp corners
+        this.traversal = options.traversal || 'dfs'; // dfs, greedy or tsp (CELL_TRAVERSAL_METHOD)
+        this.tspRefineLimit = 25; // cells; larger graphs keep the center-distance tour
+        this.sweepAngle = options.sweepAngle !== undefined ? options.sweepAngle : 'auto'; // stripe direction in degrees, or 'auto'
+        this.sweepCriterion = options.sweepCriterion || 'turns'; // 'auto' minimizes turns or length
+        this.maxTurnAngle = 30; // degrees (MAX_TURN_ANGLE_DEG); sharper heading changes count as turns
+        this.coverageTolerance = 0.005; // sweep directions whose stripes cover within this share count as equal
+        this.robotCount = options.robotCount || 1; // mowers sharing the area
+        this.partitionBy = options.partitionBy || 'area'; // 'area' or 'time': what each robot's share balances
+        this.mowingSpeed = 25; // pixels per second (0.5 m/s) for time estimates
+        this.cornerTime = 5; // seconds to stop and turn on the spot at a corner sharper than maxTurnAngle
+        this.epsilon = 1e-6;
+        this.onProgress = options.onProgress || null; // (stage, fraction) callback for long plans
+    }
+
+    // Report a planning stage and overall completion (0-1) to the progress callback, if any
+    progress(stage, fraction) {
+        if (this.onProgress) this.onProgress(stage, Math.min(1, Math.max(0, fraction)));
+    }
+
+    // Plan a coverage path for { boundary, obstacles } as returned by CanvasManager.getBoundaryData()
+    plan(boundaryData) {
+        const rawBoundary = boundaryData.boundary || [];
+        const rawObstacles = (boundaryData.obstacles || [])
+            .map(obstacle => obstacle.points)
+            .filter(points => points.length >= 3);
+        let regions = [{ boundary: rawBoundary, obstacles: rawObstacles }];
+
+        // Plan for the robot center: inset boundary, grown (and merged) obstacles. Headland lap i
+        // runs one stripe spacing further in than lap i - 1; the stripes start half a spacing inside the last lap.
+        // A narrow passage can split a level into several regions, and each of them is covered.
+        let offset = null;
+        let lapSpaces = [];
+        let lapCount = 0;
+        let rings = null;
+        const patterns = new CoveragePatterns(this, { seed: this.seed });
+        this.progress('Offsetting footprint', 0);
+        if ((this.pattern === 'spiral' || this.pattern === 'concentric') && rawBoundary.length >= 3) {
+            // Rings one spacing apart all the way in take the place of headland laps and stripes
+            rings = patterns.rings(rawBoundary, rawObstacles);
+            offset = rings.offset;
+            regions = [];
+        } else if ((this.clearance > 0 || this.headlandLaps > 0) && rawBoundary.length >= 3) {
+            const levels = [];
+            for (let i = 0; i < Math.max(1, this.headlandLaps); i++) {
+                levels.push(this.clearance + i * this.stripeSpacing);
+            }
+            const stripeLevel = this.clearance + Math.max(0, this.headlandLaps - 0.5) * this.stripeSpacing;
+
+            const spaces = PolygonOffset.freeSpaces(rawBoundary, rawObstacles, [...levels, stripeLevel]);
+            offset = spaces[0][0] || { boundary: null, obstacles: [] };
+            const lapLevels = spaces.slice(0, this.headlandLaps).filter(level => level.length > 0);
+            lapCount = lapLevels.length;
+            lapSpaces = lapLevels.flat();
+            regions = spaces[spaces.length - 1];
+        }
+        regions = regions.filter(region => region.boundary.length >= 3);
+
+        const router = new TransitRouter(rawBoundary, rawObstacles, this.clearance, offset);
+        let sweepAngle = null;
+        let result = { cells: [], order: [] };
+        let stripes = [];
+        if (this.pattern === 'boustrophedon') {
+            // The largest region sets the sweep direction reported in the stats
+            const regionResults = regions.map((region, index) => {
+                this.progress('Optimizing sweep direction', 0.1 + 0.6 * index / regions.length);
+                const angle = this.sweepAngle === 'auto'
+                    ? this.optimizeDirection(region.boundary, region.obstacles)
+                    : ((Number(this.sweepAngle) % 180) + 180) % 180;
+                if (index === 0) sweepAngle = angle;
+                return this.planAtAngle(region.boundary, region.obstacles, angle, this.traversal);
+            });
+            if (sweepAngle === null) sweepAngle = 0;
+            this.progress('Decomposing and ordering cells', 0.7);
+            result = this.mergeCells(regionResults);
+
+            // Transit moves between cells take the shortest route on the visibility graph
+            // of the inflated obstacle map instead of the cell-portal chain used while optimizing
+            this.progress('Routing transit moves', 0.8);
+            stripes = regionResults.map(regionResult => this.rerouteTransit(regionResult, router));
+        } else if (rings && rings.root) {
+            this.progress(`Driving ${this.pattern} rings`, 0.5);
+            stripes = [this.pattern === 'spiral'
+                ? patterns.spiral(rings, router, rawBoundary[0])
+                : patterns.concentric(rings, router, rawBoundary[0])];
+        } else if (this.pattern === 'random') {
+            this.progress('Bouncing at random', 0.5);
+            stripes = regions.map(region => patterns.randomBounce(region, router, rawBoundary[0]));
+        }
+
+        // Headland laps first, then the regions nearest first, joined by transit moves
+        const plan = lapSpaces.length > 0
+            ? this.headlandPath(lapSpaces, router, rawBoundary[0])
+            : { path: [], sections: [] };
+        this.appendRegions(plan, stripes, router, plan.path.length > 0 ? plan.path[plan.path.length - 1] : rawBoundary[0]);
+        let path = plan.path;
+        let sections = plan.sections;
+
+        // Replace sharp corners with drivable turns
+        let threePointTurns = [];
+        this.progress('Smoothing turns', 0.9);
+        if (this.turnRadius > 0 && path.length > 2) {
+            const smoother = new PathSmoother({
+                turnRadius: this.turnRadius,
+                maxTurnAngle: this.maxTurnAngle,
+                isClear: (a, b) => router.isClear(a, b)
+            });
+            const smoothed = smoother.smooth(path);
+            sections = sections.map(section => ({
+                type: section.type,
+                start: smoothed.indexMap[section.start],
+                end: section.end === path.length - 1 ? smoothed.path.length - 1 : smoothed.indexMap[section.end]
+            })).filter(section => section.end > section.start);
+            path = smoothed.path;
+            threePointTurns = smoothed.threePointTurns;
+        }
+
+        this.progress('Splitting area between robots', 0.95);
+        const robots = this.partitionRobots(path, sections, threePointTurns);
+
+        // Share of the mowable area (boundary minus obstacles) the cutting width passes over
+        let coverage = 0;
+        if (rawBoundary.length >= 3) {
+            const grid = new CoverageGrid(rawBoundary, rawObstacles, Math.max(2, this.stripeSpacing / 4));
+            grid.coverPath(path, this.cuttingWidth / 2);
+            coverage = grid.fraction();
+        }
+
+        const sectionLength = type => sections
+            .filter(section => section.type === type)
+            .reduce((sum, section) => sum + Geometry.pathLength(path.slice(section.start, section.end + 1)), 0);
+
+        this.progress('Done', 1);
+        return {
+            path: path,
+            cells: result.cells,
+            order: result.order,
+            offset: offset,
+            sections: sections,
+            threePointTurns: threePointTurns,
+            robots: robots,
+            stats: {
+                pattern: this.pattern,
+                traversal: this.traversal,
+                transitLength: sectionLength('transit'),
+                headlandLaps: lapCount,
+                headlandLength: sectionLength('headland'),
+                sweepAngle: sweepAngle,
+                turnCount: this.countTurns(path),
+                threePointTurns: threePointTurns.length,
+                stripeSpacing: this.stripeSpacing,
+                coverage: coverage,
+                robotCount: robots.length,
+                idleRobots: path.length > 1 ? this.robotCount - robots.length : 0
+            }
+        };
+    }
+
+    // Append points to { path, sections } as a section of the given type ('coverage', 'headland'
+    // or 'transit'). The first point may repeat the current end; sections share their end points.
+    appendSection(plan, points, type) {
+        const start = Math.max(0, plan.path.length - 1);
+        points.forEach(point => {
+            const last = plan.path[plan.path.length - 1];
+            if (!last || Geometry.distance(last, point) > this.epsilon) plan.path.push(point);
+        });
+
+        const end = plan.path.length - 1;
+        if (end <= start) return;
+        const previous = plan.sections[plan.sections.length - 1];
+        if (previous && previous.type === type && previous.end === start) {
+            previous.end = end;
+        } else {
+            plan.sections.push({ type, start, end });
+        }
+    }
+
+    // Append per-region plans, nearest first from `start`, each reached by a transit move
+    appendRegions(plan, parts, router, start) {
+        const remaining = parts.filter(part => part.path.length > 0);
+        let position = start;
+
+        while (remaining.length > 0) {
+            const part = remaining.reduce((best, candidate) =>
+                Geometry.distance(position, candidate.path[0]) < Geometry.distance(position, best.path[0]) ? candidate : best);
+            remaining.splice(remaining.indexOf(part), 1);
+
+            if (plan.path.length > 0) {
+                this.appendSection(plan, this.transitRoute(router, plan.path[plan.path.length - 1], part.path[0]), 'transit');
+            }
+            part.sections.forEach(section => {
+                this.appendSection(plan, part.path.slice(section.start, section.end + 1), section.type);
+            });
+            position = plan.path[plan.path.length - 1];
+        }
+        return plan;
+    }
+
+    // Cells and visit order of several regions as one list, ids renumbered to stay unique
+    mergeCells(regionResults) {
+        const merged = { cells: [], order: [] };
+        regionResults.forEach(regionResult => {
+            const first = merged.cells.length;
+            regionResult.cells.forEach(cell => {
+                merged.cells.push({
+                    ...cell,
+                    id: cell.id + first,
+                    neighbors: cell.neighbors.map(neighbor => ({ ...neighbor, id: neighbor.id + first }))
+                });
+            });
+            merged.order.push(...regionResult.order.map(id => id + first));
+        });
+        return merged;
+    }
+
+    // Replace each transit section with the router's shortest route when that is shorter
+    rerouteTransit(plan, router) {
+        const result = { path: [], sections: [] };
+        plan.sections.forEach(section => {
+            let points = plan.path.slice(section.start, section.end + 1);
+            if (section.type === 'transit') {
+                const route = router.route(points[0], points[points.length - 1]);
+                if (route && Geometry.pathLength(route) < Geometry.pathLength(points) - this.epsilon) points = route;
+            }
+            this.appendSection(result, points, section.type);
+        });
+        return result;
+    }
+
+    // Laps along the boundary (outermost first), then around each obstacle (nearest first)
+    headlandPath(lapSpaces, router, start, type = 'headland') {
+        const plan = { path: [], sections: [] };
+        const position = this.appendLaps(plan, lapSpaces.map(space => space.boundary), router, start, type);
+        this.appendLaps(plan, lapSpaces.flatMap(space => space.obstacles), router, position, type, true);
+        return plan;
+    }
+
+    // Drive closed loops in the given order (or nearest first), each from its corner nearest the
+    // robot and joined by transit moves; returns the final position
+    appendLaps(plan, loops, router, start, type, nearestFirst = false) {
+        const remaining = [...loops];
+        let position = start;
+
+        while (remaining.length > 0) {
+            const distanceTo = loop => Math.min(...loop.map(point => Geometry.distance(position, point)));
+            const loop = nearestFirst
+                ? remaining.reduce((best, candidate) => distanceTo(candidate) < distanceTo(best) ? candidate : best)
+                : remaining[0];
+            remaining.splice(remaining.indexOf(loop), 1);
+
+            // Start the lap at the corner nearest to the robot and drive all the way around
+            let first = 0;
+            loop.forEach((point, i) => {
+                if (Geometry.distance(position, point) < Geometry.distance(position, loop[first])) first = i;
+            });
+            const points = [...loop.slice(first), ...loop.slice(0, first + 1)];
+
+            if (plan.path.length > 0) {
+                this.appendSection(plan, this.transitRoute(router, position, points[0]), 'transit');
+            }
+            this.appendSection(plan, points, type);
+            position = points[points.length - 1];
+        }
+
+        return position;
+    }
+
+    // Obstacle-free move between two points, falling back to a straight line
+    transitRoute(router, from, to) {
+        return router.route(from, to) || [from, to];
+    }
+
+    // Split the route into consecutive pieces of about equal work, one per robot. Cutting the
+    // boustrophedon order keeps each robot's stripes together, so every piece covers one
+    // compact sub-region; the transit moves at the cuts are dropped because each robot starts
+    // on its own first stripe. A cut can fall inside a segment, which is then split there.
+    // Returns [{ path, sections, threePointTurns, area, time }]; a robot left with nothing to
+    // mow gets no piece and is counted in stats.idleRobots.
+    partitionRobots(path, sections, threePointTurns) {
+        const area = this.segmentWork(path, sections, 'area');
+        const time = this.segmentWork(path, sections, 'time');
+        const work = this.partitionBy === 'time' ? time : area;
+        if (path.length < 2) return [];
+
+        // Positions along the path are a vertex index plus the fraction of the next segment
+        const reached = [0];
+        work.forEach((amount, i) => reached.push(reached[i] + amount));
+        const total = reached[reached.length - 1];
+        const sumUpTo = (amounts, position) => {
+            const i = Math.min(Math.floor(position), amounts.length - 1);
+            return amounts.slice(0, i).reduce((sum, amount) => sum + amount, 0) + amounts[i] * (position - i);
+        };
+        const workAt = position => sumUpTo(work, position);
+        const positionOf = (target, from) => {
+            let i = Math.floor(from);
+            while (i < work.length - 1 && reached[i + 1] < target) i++;
+            const fraction = work[i] > 0 ? (target - reached[i]) / work[i] : 0;
+            return Math.max(from, i + Math.min(1, Math.max(0, fraction)));
+        };
+        const pointAt = position => {
+            const i = Math.min(Math.floor(position), path.length - 2);
+            const t = position - i;
+            if (t < 1e-9) return path[i];
+            if (t > 1 - 1e-9) return path[i + 1];
+            return { x: path[i].x + (path[i + 1].x - path[i].x) * t, y: path[i].y + (path[i + 1].y - path[i].y) * t };
+        };
+        const transitAt = position => sections.find(section =>
+            section.type === 'transit' && section.start <= position && position < section.end);
+
+        // Each robot takes an equal part of the work left after the previous cut, so a transit
+        // move dropped at a cut does not leave the later robots without a share
+        const robots = [];
+        let cut = 0;
+        for (let k = 0; k < this.robotCount; k++) {
+            let start = cut;
+            const leading = transitAt(start);
+            if (k > 0 && leading) start = leading.end;
+
+            let end = path.length - 1;
+            if (k < this.robotCount - 1) {
+                cut = positionOf(workAt(start) + (total - workAt(start)) / (this.robotCount - k), start);
+                const trailing = transitAt(cut);
+                end = trailing ? Math.max(start, trailing.start) : cut;
+            }
+            if (end <= start || (end - start < 1 && Geometry.distance(pointAt(start), pointAt(end)) <= this.epsilon)) continue;
+
+            // Path vertices strictly inside the piece, between its two (possibly interpolated) ends
+            const positions = [start];
+            for (let i = Math.floor(start) + 1; i < end; i++) positions.push(i);
+            positions.push(end);
+            const piece = positions.map(pointAt);
+            const indexOf = position => positions.findIndex(other => other >= position - 1e-9);
+
+            robots.push({
+                path: piece,
+                sections: sections
+                    .map(section => ({
+                        type: section.type,
+                        start: indexOf(Math.max(section.start, start)),
+                        end: section.end >= end ? piece.length - 1 : indexOf(section.end)
+                    }))
+                    .filter(section => section.start >= 0 && section.end > section.start),
+                threePointTurns: threePointTurns.filter(turn =>
+                    piece.slice(1, -1).some(point => Geometry.distance(point, turn) <= this.epsilon)),
+                area: sumUpTo(area, end) - sumUpTo(area, start),
+                time: sumUpTo(time, end) - sumUpTo(time, start)
+            });
+        }
+        return robots;
+    }
+
+    // Work of each path segment: mowed area (stripe spacing wide, transit mows nothing) in
+    // square pixels, or driving time in seconds including a stop to turn at a sharp first vertex.
+    // Turn arcs are part of the path, so smoothed turns only cost their length.
+    segmentWork(path, sections, criterion) {
+        const types = [];
+        sections.forEach(section => {
+            for (let i = section.start; i < section.end; i++) types[i] = section.type;
+        });
+
+        const work = [];
+        for (let i = 0; i < path.length - 1; i++) {
+            const length = Geometry.distance(path[i], path[i + 1]);
+            if (criterion === 'time') {
+                const sharp = i > 0 && Geometry.turnAngle(path[i - 1], path[i], path[i + 1]) > this.maxTurnAngle * Math.PI / 180;
+                work.push(length / this.mowingSpeed + (sharp ? this.cornerTime : 0));
+            } else {
+                work.push(types[i] === 'transit' ? 0 : length * this.stripeSpacing);
+            }
+        }
+        return work;
+    }
+
+    // Plan with stripes running at `angle` degrees from the x axis
+    planAtAngle(boundary, obstacles, angle, traversal) {
+        // Rotate the scene so the stripes are vertical, as the sweep expects
+        const rotation = (90 - angle) * Math.PI / 180;
+        const pivot = boundary[0];
+        const toSweep = point => Geometry.rotatePoint(point, rotation, pivot);
+        const fromSweep = point => Geometry.rotatePoint(point, -rotation, pivot);
+
+        const cells = this.decompose(boundary.map(toSweep), obstacles.map(points => points.map(toSweep)));
+        const order = this.orderCells(cells, traversal);
+        const synthesis = this.synthesizePath(cells, order);
+
+        return {
+            path: synthesis.path.map(fromSweep),
+            sections: synthesis.sections,
+            cells: cells.map(cell => {
+                const description = this.describeCell(cell);
+                description.polygon = description.polygon.map(fromSweep);
+                description.centroid = fromSweep(description.centroid);
+                description.neighbors.forEach(neighbor => {
+                    neighbor.portal = fromSweep(neighbor.portal);
+                });
+                return description;
+            }),
+            order: order,
+            transitLength: synthesis.transitLength
+        };
+    }
+
+    // Direction optimization (docs/algorithms.md): 5° steps over 0-180° plus the directions of
+    // the longest boundary edges, then 1° refinement around the best candidate. Candidates are
+    // ranked by turns (unless the criterion is length), then by the area their stripes leave
+    // unmowed, then by path length; coverage within coverageTolerance counts as equal, and on
+    // such ties the boundary's edge directions win.
+    optimizeDirection(boundary, obstacles) {
+        const grid = new CoverageGrid(boundary, obstacles, Math.max(2, this.stripeSpacing / 4));
+        const costs = new Map();
+        const expected = 48; // about 36 coarse steps, 3 edge directions and 9 refinements
+        const normalize = (angle) => ((Math.round(angle) % 180) + 180) % 180;
+        const cost = (angle) => {
+            const key = normalize(angle);
+            if (!costs.has(key)) {
+                // Candidates are compared with the cheap DFS order; the real traversal runs once at the end
+                const result = this.planAtAngle(boundary, obstacles, key, 'dfs');
+                grid.clear();
+                grid.coverPath(result.path, this.cuttingWidth / 2);
+                costs.set(key, {
+                    turns: this.sweepCriterion === 'length' ? 0 : this.countTurns(result.path),
+                    coverage: grid.fraction(),
+                    length: Geometry.pathLength(result.path)
+                });
+                this.progress('Optimizing sweep direction', 0.1 + 0.6 * costs.size / Math.max(expected, costs.size));
+            }
+            return costs.get(key);
+        };
+
+        const edgeAngles = Geometry.polygonEdges(boundary)
+            .sort((a, b) => Geometry.distance(b.a, b.b) - Geometry.distance(a.a, a.b))
+            .slice(0, 3)
+            .map(edge => normalize(Math.atan2(edge.b.y - edge.a.y, edge.b.x - edge.a.x) * 180 / Math.PI));
+        const better = (angle, than) => {
+            const a = cost(angle);
+            const b = cost(than);
+            if (a.turns !== b.turns) return a.turns < b.turns;
+            if (Math.abs(a.coverage - b.coverage) > this.coverageTolerance) return a.coverage > b.coverage;
+            const alongEdge = edgeAngles.includes(angle);
+            if (alongEdge !== edgeAngles.includes(than)) return alongEdge;
+            return a.length < b.length;
+        };
+        const best = (angles) => angles.reduce((winner, angle) => (better(angle, winner) ? angle : winner));
+
+        const candidates = [...edgeAngles];
+        for (let angle = 0; angle < 180; angle += 5) {
+            candidates.push(angle);
+        }
+
+        const coarse = best(candidates);
+        const refined = [coarse];
+        for (let delta = -4; delta <= 4; delta++) {
+            refined.push(normalize(coarse + delta));
+        }
+        return best(refined);
+    }
+
+    // Heading changes sharper than the maximum acceptable turn angle
+    countTurns(path) {
+        let turns = 0;
+        for (let i = 1; i < path.length - 1; i++) {
+            if (Geometry.turnAngle(path[i - 1], path[i], path[i + 1]) > this.maxTurnAngle * Math.PI / 180) {
+                turns++;
+            }
+        }
+        return turns;
+    }
+
+    // Phase 1: cellular decomposition
+    decompose(boundary, obstacles) {
+        const boundaryEdges = this.sweepEdges(boundary);
+        const obstacleEdges = obstacles.map(points => this.sweepEdges(points));
+        const eventXs = this.collectEvents([boundaryEdges, ...obstacleEdges]);
+
+        // Build the trapezoids of every slab between consecutive events
+        const slabs = [];
+        for (let k = 0; k < eventXs.length - 1; k++) {
+            const x0 = eventXs[k];
+            const x1 = eventXs[k + 1];
+            const midX = (x0 + x1) / 2;
+
+            const inside = this.intervalsAt(boundaryEdges, midX);
+            const blocked = this.unionIntervals(
+                obstacleEdges.flatMap(edges => this.intervalsAt(edges, midX))
+            );
+
+            slabs.push(this.subtractIntervals(inside, blocked)
+                .filter(interval => interval.ceiling.y - interval.floor.y > this.epsilon)
+                .map(interval => ({
+                    x0: x0,
+                    x1: x1,
+                    floor: interval.floor.edge,
+                    ceiling: interval.ceiling.edge,
+                    left: [],
+                    right: [],
+                    cell: null
+                })));
+        }
+
+        // Connect trapezoids that share part of their vertical side
+        for (let k = 0; k < slabs.length - 1; k++) {
+            slabs[k].forEach(current => {
+                slabs[k + 1].forEach(next => {
+                    if (next.x0 !== current.x1) return;
+                    const overlap = this.sideOverlap(current, next, current.x1);
+                    if (overlap) {
+                        current.right.push({ trapezoid: next, portal: overlap });
+                        next.left.push({ trapezoid: current, portal: overlap });
+                    }
+                });
+            });
+        }
+
+        // Merge one-to-one chains of trapezoids into cells
+        const cells = [];
+        slabs.forEach(slab => {
+            slab.forEach(trapezoid => {
+                const previous = trapezoid.left.length === 1 ? trapezoid.left[0].trapezoid : null;
+                if (previous && previous.right.length === 1) {
+                    trapezoid.cell = previous.cell;
+                    trapezoid.cell.trapezoids.push(trapezoid);
+                } else {
+                    trapezoid.cell = { id: cells.length, trapezoids: [trapezoid], neighbors: [] };
+                    cells.push(trapezoid.cell);
+                }
+            });
+        });
+
+        // Cell adjacency graph: every link between trapezoids of different cells
+        slabs.forEach(slab => {
+            slab.forEach(trapezoid => {
+                trapezoid.right.forEach(link => {
+                    const a = trapezoid.cell;
+                    const b = link.trapezoid.cell;
+                    if (a === b) return;
+                    a.neighbors.push({ id: b.id, portal: link.portal });
+                    b.neighbors.push({ id: a.id, portal: link.portal });
+                });
+            });
+        });
+
+        cells.forEach(cell => this.finalizeCell(cell));
+        return cells;
+    }
+
+    // Non-vertical edges of a closed polygon (vertical edges never span a slab)
+    sweepEdges(points) {
+        return Geometry.polygonEdges(points).filter(edge => Math.abs(edge.b.x - edge.a.x) > this.epsilon);
+    }
+
+    // Sorted unique sweep events: vertex x positions plus edge crossings
+    collectEvents(edgeGroups) {
+        const edges = edgeGroups.flat();
+        const xs = [];
+
+        edges.forEach(edge => {
+            xs.push(edge.a.x, edge.b.x);
+        });
+
+        for (let i = 0; i < edges.length; i++) {
+            for (let j = i + 1; j < edges.length; j++) {
+                const hit = Geometry.segmentIntersection(edges[i].a, edges[i].b, edges[j].a, edges[j].b);
+                if (hit) xs.push(hit.x);
+            }
+        }
+
+        xs.sort((a, b) => a - b);
+        return xs.filter((x, i) => i === 0 || x - xs[i - 1] > this.epsilon);
+    }
+
+    // Inside intervals of one polygon along the vertical line at x (even-odd rule)
+    intervalsAt(edges, x) {
+        const crossings = edges
+            .filter(edge => Math.min(edge.a.x, edge.b.x) < x && Math.max(edge.a.x, edge.b.x) > x)
+            .map(edge => ({ y: Geometry.edgeYAt(edge, x), edge: edge }))
+            .sort((a, b) => a.y - b.y);
+
+        const intervals = [];
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            intervals.push({ floor: crossings[i], ceiling: crossings[i + 1] });
+        }
+        return intervals;
+    }
+
+    unionIntervals(intervals) {
+        const sorted = [...intervals].sort((a, b) => a.floor.y - b.floor.y);
+        const merged = [];
+
+        sorted.forEach(interval => {
+            const last = merged[merged.length - 1];
+            if (last && interval.floor.y <= last.ceiling.y) {
+                if (interval.ceiling.y > last.ceiling.y) {
+                    last.ceiling = interval.ceiling;
+                }
+            } else {
+                merged.push({ ...interval });
+            }
+        });
+
+        return merged;
+    }
+
+    // Remove sorted, disjoint blocked intervals from the inside intervals
+    subtractIntervals(inside, blocked) {
+        const result = [];
+
+        inside.forEach(interval => {
+            let floor = interval.floor;
+
+            for (const block of blocked) {
+                if (block.ceiling.y <= floor.y || block.floor.y >= interval.ceiling.y) continue;
+
+                if (block.floor.y > floor.y) {
+                    result.push({ floor: floor, ceiling: block.floor });
+                }
+                floor = block.ceiling;
+                if (floor.y >= interval.ceiling.y) {
+                    floor = null;
+                    break;
+                }
+            }
+
+            if (floor && interval.ceiling.y > floor.y) {
+                result.push({ floor: floor, ceiling: interval.ceiling });
+            }
+        });
+
+        return result;
+    }
+
+    // Midpoint of the shared vertical side of two trapezoids at x, or null if they only touch
+    sideOverlap(a, b, x) {
+        const low = Math.max(this.floorY(a, x), this.floorY(b, x));
+        const high = Math.min(this.ceilingY(a, x), this.ceilingY(b, x));
+        return high - low > 1e-3 ? { x: x, y: (low + high) / 2 } : null;
+    }
+
+    floorY(trapezoid, x) {
+        return Geometry.edgeYAt(trapezoid.floor, x);
+    }
+
+    ceilingY(trapezoid, x) {
+        return Geometry.edgeYAt(trapezoid.ceiling, x);
+    }
+
+    // Derived cell data: extent, outline polygon, area and centroid
+    finalizeCell(cell) {
+        const trapezoids = cell.trapezoids;
+        cell.left = trapezoids[0].x0;
+        cell.right = trapezoids[trapezoids.length - 1].x1;
+
+        const floorPoints = [];
+        const ceilingPoints = [];
+        trapezoids.forEach((trapezoid, i) => {
+            floorPoints.push({ x: trapezoid.x0, y: this.floorY(trapezoid, trapezoid.x0) });
+            ceilingPoints.push({ x: trapezoid.x0, y: this.ceilingY(trapezoid, trapezoid.x0) });
+            if (i === trapezoids.length - 1) {
+                floorPoints.push({ x: trapezoid.x1, y: this.floorY(trapezoid, trapezoid.x1) });
+                ceilingPoints.push({ x: trapezoid.x1, y: this.ceilingY(trapezoid, trapezoid.x1) });
+            }
+        });
+        cell.polygon = [...floorPoints, ...ceilingPoints.reverse()];
+        cell.area = Geometry.polygonArea(cell.polygon);
+
+        cell.centroid = this.middleAt(cell, (cell.left + cell.right) / 2);
+    }
+
+    // Plain cell data for callers (the trapezoid links are internal and cyclic)
+    describeCell(cell) {
+        return {
+            id: cell.id,
+            polygon: cell.polygon,
+            centroid: cell.centroid,
+            area: cell.area,
+            left: cell.left,
+            right: cell.right,
+            neighbors: cell.neighbors.map(neighbor => ({ id: neighbor.id, portal: neighbor.portal }))
+        };
+    }
+
+    // Free vertical span of a cell at x; on a trapezoid boundary both sides must agree
+    spanAt(cell, x) {
+        let floor = -Infinity;
+        let ceiling = Infinity;
+        cell.trapezoids.forEach(trapezoid => {
+            if (x >= trapezoid.x0 - this.epsilon && x <= trapezoid.x1 + this.epsilon) {
+                floor = Math.max(floor, this.floorY(trapezoid, x));
+                ceiling = Math.min(ceiling, this.ceilingY(trapezoid, x));
+            }
+        });
+        return { floor, ceiling };
+    }
+
+    middleAt(cell, x) {
+        const span = this.spanAt(cell, x);
+        return { x: x, y: (span.floor + span.ceiling) / 2 };
+    }
+
+    // Point on the floor or ceiling side of a cell, kept `margin` pixels inside when there is room
+    sidePoint(cell, x, side) {
+        const span = this.spanAt(cell, x);
+        const low = span.floor + this.margin;
+        const high = span.ceiling - this.margin;
+
+        if (low > high) {
+            return { x: x, y: (low + high) / 2 };
+        }
+        return { x: x, y: side === 'floor' ? low : high };
+    }
+
+    // Trapezoid boundaries strictly between two x positions, in travel order
+    boundariesBetween(cell, fromX, toX) {
+        const low = Math.min(fromX, toX);
+        const high = Math.max(fromX, toX);
+        const xs = cell.trapezoids
+            .map(trapezoid => trapezoid.x1)
+            .filter(x => x > low + this.epsilon && x < high - this.epsilon);
+        return fromX <= toX ? xs : xs.reverse();
+    }
+
+    // Phase 2: cell traversal planning over the adjacency graph
+    orderCells(cells, traversal) {
+        if (cells.length === 0) return [];
+
+        const component = this.largestComponent(cells).sort(this.byPosition(cells));
+        const start = component[0];
+
+        switch (traversal) {
+            case 'greedy':
+                return this.greedyOrder(component, start, this.cellDistances(cells));
+            case 'tsp':
+                return this.tspOrder(cells, component, start, this.cellDistances(cells));
+            default:
+                return this.depthFirstOrder(cells, start);
+        }
+    }
+
+    // Left to right, then top to bottom
+    byPosition(cells) {
+        return (a, b) => cells[a].left - cells[b].left || cells[a].centroid.y - cells[b].centroid.y;
+    }
+
+    depthFirstOrder(cells, start) {
+        const visited = new Set();
+        const order = [];
+
+        const visit = (id) => {
+            visited.add(id);
+            order.push(id);
+            cells[id].neighbors
+                .map(neighbor => neighbor.id)
+                .sort(this.byPosition(cells))
+                .forEach(next => {
+                    if (!visited.has(next)) visit(next);
+                });
+        };
+
+        visit(start);
+        return order;
+    }
+
+    // Always move on to the closest unvisited cell
+    greedyOrder(component, start, distances) {
+        const remaining = new Set(component);
+        const order = [start];
+        remaining.delete(start);
+
+        while (remaining.size > 0) {
+            const current = order[order.length - 1];
+            let next = null;
+            remaining.forEach(id => {
+                if (next === null || distances[current][id] < distances[current][next]) {
+                    next = id;
+                }
+            });
+            order.push(next);
+            remaining.delete(next);
+        }
+
+        return order;
+    }
+
+    // Open-path TSP over the cell graph. Center-to-center distances give a first tour
+    // (best nearest-neighbour start + 2-opt); small graphs are then refined with 2-opt on
+    // the real transit length, since the robot leaves a cell from a corner, not its center.
+    tspOrder(cells, component, start, distances) {
+        const tourLength = (order) => {
+            let length = 0;
+            for (let i = 0; i < order.length - 1; i++) {
+                length += distances[order[i]][order[i + 1]];
+            }
+            return length;
+        };
+
+        let tour = null;
+        component.forEach(first => {
+            const order = this.greedyOrder(component, first, distances);
+            if (!tour || tourLength(order) < tourLength(tour)) {
+                tour = order;
+            }
+        });
+        tour = this.twoOpt(tour, tourLength);
+
+        const transitLength = (order) => this.synthesizePath(cells, order).transitLength;
+        let best = [tour, this.greedyOrder(component, start, distances), this.depthFirstOrder(cells, start)]
+            .reduce((a, b) => transitLength(b) < transitLength(a) ? b : a);
+
+        if (component.length <= this.tspRefineLimit) {
+            best = this.twoOpt(best, transitLength);
+        }
+        return best;
+    }
+
+    // Reverse sub-sequences while that shortens the tour
+    twoOpt(order, cost) {
+        let best = order;
+        let bestCost = cost(best);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < best.length - 1; i++) {
+                for (let j = i + 1; j < best.length; j++) {
+                    const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+                    const candidateCost = cost(candidate);
+                    if (candidateCost < bestCost - this.epsilon) {
+                        best = candidate;
+                        bestCost = candidateCost;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // All-pairs travel distance between cell centers through shared cell sides (Floyd-Warshall)
+    cellDistances(cells) {
+        const n = cells.length;
+        const distances = cells.map((cell, i) => cells.map((other, j) => (i === j ? 0 : Infinity)));
+
+        cells.forEach(cell => {
+            cell.neighbors.forEach(neighbor => {
+                const length = Geometry.distance(cell.centroid, neighbor.portal) +
+                    Geometry.distance(neighbor.portal, cells[neighbor.id].centroid);
+                distances[cell.id][neighbor.id] = Math.min(distances[cell.id][neighbor.id], length);
+            });
+        });
+
+        for (let k = 0; k < n; k++) {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    if (distances[i][k] + distances[k][j] < distances[i][j]) {
+                        distances[i][j] = distances[i][k] + distances[k][j];
+                    }
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    // Cells the robot can reach from each other. Pockets cut off by obstacles
+    // (or by an obstacle crossing the boundary) cannot be mowed without driving
+    // through something, so only the largest connected area is planned.
+    largestComponent(cells) {
+        const seen = new Set();
+        let best = [];
+        let bestArea = -1;
+
+        cells.forEach(cell => {
+            if (seen.has(cell.id)) return;
+
+            const component = [];
+            const stack = [cell.id];
+            seen.add(cell.id);
+            while (stack.length > 0) {
+                const id = stack.pop();
+                component.push(id);
+                cells[id].neighbors.forEach(neighbor => {
+                    if (!seen.has(neighbor.id)) {
+                        seen.add(neighbor.id);
+                        stack.push(neighbor.id);
+                    }
+                });
+            }
+
+            const area = component.reduce((sum, id) => sum + cells[id].area, 0);
+            if (area > bestArea) {
+                best = component;
+                bestArea = area;
+            }
+        });
+
+        return best;
+    }
+
+    // Phase 3: coverage path synthesis
+    synthesizePath(cells, order) {
+        const plan = { path: [], sections: [] };
+        let previousCell = null;
+        let transitLength = 0;
+
+        order.forEach(id => {
+            const cell = cells[id];
+            const current = plan.path.length > 0 ? plan.path[plan.path.length - 1] : null;
+            const coverage = this.coverCell(cell, current);
+
+            if (previousCell) {
+                const route = this.routeBetweenCells(cells, previousCell, cell, current, coverage[0]);
+                transitLength += Geometry.pathLength(route);
+                this.appendSection(plan, route, 'transit');
+            }
+
+            this.appendSection(plan, coverage, 'coverage');
+            previousCell = cell;
+        });
+
+        return {
+            path: plan.path,
+            sections: plan.sections,
+            transitLength: transitLength
+        };
+    }
+
+    // Back-and-forth stripes across a cell, starting from the corner nearest to `from`
+    coverCell(cell, from) {
+        const width = cell.right - cell.left;
+        const count = Math.max(1, Math.ceil(width / this.stripeSpacing - this.epsilon));
+        const stripeXs = [];
+        for (let i = 0; i < count; i++) {
+            stripeXs.push(cell.left + (i + 0.5) * width / count);
+        }
+
+        // Four candidate starts: either end of the cell, floor or ceiling first
+        const candidates = [];
+        [false, true].forEach(reverse => {
+            ['floor', 'ceiling'].forEach(firstSide => {
+                const xs = reverse ? [...stripeXs].reverse() : stripeXs;
+                candidates.push({ xs, firstSide, start: this.sidePoint(cell, xs[0], firstSide) });
+            });
+        });
+
+        const best = from
+            ? candidates.reduce((a, b) => Geometry.distance(from, a.start) <= Geometry.distance(from, b.start) ? a : b)
+            : candidates[0];
+
+        const points = [];
+        let side = best.firstSide;
+        best.xs.forEach((x, i) => {
+            const otherSide = side === 'floor' ? 'ceiling' : 'floor';
+            points.push(this.sidePoint(cell, x, side));
+            points.push(this.sidePoint(cell, x, otherSide));
+
+            // Follow the cell side to the next stripe so the turn stays inside the cell
+            if (i < best.xs.length - 1) {
+                this.boundariesBetween(cell, x, best.xs[i + 1])
+                    .forEach(boundaryX => points.push(this.sidePoint(cell, boundaryX, otherSide)));
+            }
+            side = otherSide;
+        });
+
+        return points;
+    }
+
+    // Route from a point in one cell to a point in another through adjacent cells
+    routeBetweenCells(cells, fromCell, toCell, from, to) {
+        const chain = this.findCellChain(cells, fromCell.id, toCell.id);
+        const points = [from];
+        let position = from;
+        for (let i = 0; i < chain.length - 1; i++) {
+            const cell = cells[chain[i]];
+            const portal = cell.neighbors.find(neighbor => neighbor.id === chain[i + 1]).portal;
+            this.routeInsideCell(cell, position, portal).forEach(point => points.push(point));
+            points.push(portal);
+            position = portal;
+        }
+        this.routeInsideCell(toCell, position, to).forEach(point => points.push(point));
+        points.push(to);
+
+        return points;
+    }
+
+    // Intermediate points that keep a straight move inside a (possibly non-convex) cell
+    routeInsideCell(cell, from, to) {
+        return this.boundariesBetween(cell, from.x, to.x).map(x => this.middleAt(cell, x));
+    }
+
+    // Shortest chain of cell ids (by hop count) connecting two cells, or null
+    findCellChain(cells, fromId, toId) {
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === toId) {
+                const chain = [];
+                for (let node = toId; node !== null; node = previous.get(node)) {
+                    chain.unshift(node);
+                }
+                return chain;
+            }
+            cells[id].neighbors.forEach(neighbor => {
+                if (!previous.has(neighbor.id)) {
+                    previous.set(neighbor.id, id);
+                    queue.push(neighbor.id);
+                }
+            });
+        }
+
+        return null;
+    }
+}
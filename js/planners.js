@@ -0,0 +1,250 @@
+/**
+ * Built-in Planners for BladeOfGrass Path Planning Prototype
+ * Registers the JavaScript coverage planner (js/planner.js) and the server planner with the
+ * planner registry
+ *
+ * The coverage plan runs in a Web Worker (js/planner-worker.js) so large yards do not freeze
+ * the page; aborting the signal terminates the worker. Without worker support it runs on the
+ * UI thread. The server planner queues the file-based protocol request as a job on server.js
+ * and polls it (/api/jobs).
+ */
+
+class BuiltinPlanners {
+    // Boustrophedon cell decomposition and the alternative patterns
+    static coverage() {
+        return {
+            name: 'coverage',
+            label: 'Coverage (cell decomposition)',
+            description: 'Boustrophedon stripes per cell, or spiral, concentric and random-bounce patterns',
+            schema: {
+                pattern: {
+                    type: 'select',
+                    label: 'Pattern',
+                    default: 'boustrophedon',
+                    options: [
+                        { value: 'boustrophedon', label: 'Boustrophedon stripes' },
+                        { value: 'spiral', label: 'Spiral' },
+                        { value: 'concentric', label: 'Concentric rings' },
+                        { value: 'random', label: 'Random bounce' }
+                    ]
+                },
+                traversal: {
+                    type: 'select',
+                    label: 'Cell Order',
+                    default: 'dfs',
+                    options: [
+                        { value: 'dfs', label: 'Depth-first (DFS)' },
+                        { value: 'greedy', label: 'Greedy nearest cell' },
+                        { value: 'tsp', label: 'TSP (2-opt)' }
+                    ],
+                    enabled: params => params.pattern === 'boustrophedon'
+                },
+                robotCount: {
+                    type: 'select',
+                    label: 'Robots',
+                    default: 1,
+                    options: [1, 2, 3, 4].map(count => ({ value: count, label: `${count} robot${count > 1 ? 's' : ''}` }))
+                },
+                partitionBy: {
+                    type: 'select',
+                    label: 'Robot Shares',
+                    default: 'area',
+                    options: [
+                        { value: 'area', label: 'Equal area' },
+                        { value: 'time', label: 'Equal time' }
+                    ],
+                    enabled: params => params.robotCount > 1
+                },
+                sweepMode: {
+                    type: 'select',
+                    label: 'Sweep Direction',
+                    default: 'auto-turns',
+                    options: [
+                        { value: 'auto-turns', label: 'Auto: fewest turns' },
+                        { value: 'auto-length', label: 'Auto: shortest path' },
+                        { value: 'manual', label: 'Manual angle' }
+                    ],
+                    enabled: params => params.pattern === 'boustrophedon'
+                },
+                sweepAngle: {
+                    type: 'number',
+                    label: 'Stripe Angle (°)',
+                    default: 0,
+                    min: 0,
+                    max: 179,
+                    step: 1,
+                    enabled: params => params.pattern === 'boustrophedon' && params.sweepMode === 'manual'
+                }
+            },
+            plan: (scenario, params, context) => BuiltinPlanners.runCoverage(scenario, BuiltinPlanners.coverageOptions(scenario, params), context)
+        };
+    }
+
+    // CoveragePlanner options from the mower (pixels) and the panel parameters
+    static coverageOptions(scenario, params) {
+        return {
+            ...scenario.mower,
+            margin: 0,
+            pattern: params.pattern,
+            traversal: params.traversal,
+            robotCount: params.robotCount,
+            partitionBy: params.partitionBy,
+            sweepAngle: params.sweepMode === 'manual' ? params.sweepAngle : 'auto',
+            sweepCriterion: params.sweepMode === 'auto-length' ? 'length' : 'turns'
+        };
+    }
+
+    static runCoverage(scenario, options, { onProgress = () => {}, signal } = {}) {
+        const boundaryData = {
+            boundary: scenario.boundary,
+            obstacles: scenario.obstacles,
+            dynamicObstacles: scenario.dynamicObstacles || []
+        };
+        let worker = null;
+        try {
+            worker = typeof Worker !== 'undefined' ? new Worker('js/planner-worker.js') : null;
+        } catch (error) {
+            console.warn('⚠️ Planning worker unavailable, planning on the UI thread:', error.message);
+        }
+        if (!worker) return BuiltinPlanners.runCoverageInline(boundaryData, options, onProgress, signal);
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                worker.terminate();
+                callback(value);
+            };
+            signal?.addEventListener('abort', () => finish(reject, new Error('Planning aborted')));
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress(message.stage, message.fraction);
+                } else if (message.type === 'result') {
+                    finish(resolve, message.result);
+                } else if (message.type === 'error') {
+                    finish(reject, new Error(message.message));
+                }
+            };
+            // Planner errors arrive as messages; this fires when the worker script itself fails (e.g. file:// pages)
+            worker.onerror = (event) => {
+                event.preventDefault();
+                console.warn('⚠️ Planning worker failed, planning on the UI thread:', event.message);
+                finish(resolve, null);
+            };
+
+            worker.postMessage({ type: 'plan', boundaryData, options });
+        }).then(result => result || BuiltinPlanners.runCoverageInline(boundaryData, options, onProgress, signal));
+    }
+
+    // Planner executable behind the server's job queue (the bundled stand-in until the C planner is configured)
+    static server() {
+        return {
+            name: 'server',
+            label: 'Server planner (job queue)',
+            description: 'Runs the planner executable configured in server.js through the file-based protocol',
+            schema: {
+                pattern: {
+                    type: 'select',
+                    label: 'Pattern (stand-in only)',
+                    default: 'boustrophedon',
+                    options: [
+                        { value: 'boustrophedon', label: 'Boustrophedon stripes' },
+                        { value: 'spiral', label: 'Spiral' },
+                        { value: 'concentric', label: 'Concentric rings' },
+                        { value: 'random', label: 'Random bounce' }
+                    ]
+                },
+                useCache: { type: 'boolean', label: 'Use cached plans', default: true }
+            },
+            timeout: 0, // the server queue and its planner timeout decide
+            plan: (scenario, params, context) => BuiltinPlanners.runServerJob(BuiltinPlanners.protocolInput(scenario, params), {
+                ...context,
+                useCache: params.useCache
+            })
+        };
+    }
+
+    // Queue a job on the server and poll it until it finishes; aborting cancels the job. The server
+    // answers from its plan cache unless `useCache` is false; `cached` tells whether it did.
+    static async runServerJob(input, { onProgress = () => {}, signal, useCache = true } = {}) {
+        // The POST itself is not aborted: the server may already have queued the job, and only
+        // its answer names the job to cancel
+        const response = await fetch('/api/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(useCache ? {} : { 'Cache-Control': 'no-cache' }) },
+            body: JSON.stringify(input)
+        });
+        let job = await response.json();
+        if (!response.ok) throw BuiltinPlanners.serverError(job, `Server answered ${response.status}`);
+        const cancelJob = () => fetch(`/api/jobs/${job.id}`, { method: 'DELETE' }).catch(() => {});
+        if (signal?.aborted) {
+            cancelJob();
+            throw new Error('Planning aborted');
+        }
+        signal?.addEventListener('abort', cancelJob);
+
+        try {
+            while (job.state === 'queued' || job.state === 'running') {
+                const elapsed = `${Math.round(job.elapsedMs / 1000)}s`;
+                onProgress(job.state === 'queued' ? `queued at position ${job.position}, ${elapsed}` : `running on the server, ${elapsed}`, null);
+                await new Promise(resolve => setTimeout(resolve, BuiltinPlanners.pollInterval));
+                const poll = await fetch(`/api/jobs/${job.id}`, { signal });
+                job = await poll.json();
+                if (!poll.ok) throw BuiltinPlanners.serverError(job, `Server answered ${poll.status}`);
+            }
+        } finally {
+            signal?.removeEventListener('abort', cancelJob);
+        }
+
+        if (job.state !== 'succeeded') throw BuiltinPlanners.serverError(job, `Job ${job.state}`);
+        return {
+            path: job.result.path.map(point => ({ x: point.x, y: point.y })),
+            sections: job.result.sections || [],
+            cached: job.cache === 'hit'
+        };
+    }
+
+    // Error for a failed request or job, carrying the server's { code, path, message } list
+    static serverError(body, fallbackMessage) {
+        const error = new Error(body.error || fallbackMessage);
+        error.errors = body.errors || [];
+        return error;
+    }
+
+    // Request JSON of the file-based protocol (docs/guidelines.md); all lengths in pixels
+    static protocolInput(scenario, params) {
+        const mower = scenario.mower;
+        return {
+            schema_version: 1,
+            command: 'plan',
+            boundary: scenario.boundary,
+            static_obstacles: scenario.obstacles.map(obstacle => obstacle.points),
+            dynamic_obstacles: (scenario.dynamicObstacles || []).map(obstacle => obstacle.points),
+            parameters: {
+                cutting_width: mower.cuttingWidth,
+                overlap: mower.cuttingWidth - mower.stripeSpacing,
+                robot_radius: mower.clearance,
+                headland_laps: mower.headlandLaps,
+                turn_radius: mower.turnRadius,
+                pattern: params.pattern
+            }
+        };
+    }
+
+    // UI-thread fallback: once the planner starts it cannot be interrupted
+    static async runCoverageInline(boundaryData, options, onProgress, signal) {
+        await new Promise(resolve => setTimeout(resolve, 0)); // let the button show the planning state first
+        if (signal?.aborted) throw new Error('Planning aborted');
+
+        const planner = new CoveragePlanner({ ...options, onProgress });
+        return planner.plan(boundaryData);
+    }
+}
+
+BuiltinPlanners.pollInterval = 500; // milliseconds between job status requests
+
+plannerRegistry.register(BuiltinPlanners.coverage());
+plannerRegistry.register(BuiltinPlanners.server());
@@ -0,0 +1,140 @@
+/**
+ * Planner Registry for BladeOfGrass Path Planning Prototype
+ * Lets built-in and third-party planners plug into the PLAN button
+ *
+ * A planner is { name, label, description, schema, plan, timeout }:
+ *   name    unique id, e.g. 'coverage'
+ *   schema  parameters shown in the left panel, keyed by parameter name:
+ *           { type: 'number' | 'integer' | 'select' | 'boolean', label, default,
+ *             min, max, step (numbers), options: [{ value, label }] (select),
+ *             enabled: params => boolean (optional, greys the input out) }
+ *   plan    async (scenario, params, { onProgress, signal }) => { path, sections?, stats?, ... }
+ *           scenario is { boundary, obstacles, dynamicObstacles, mower } in canvas pixels
+ *           (50px = 1m); mower holds stripeSpacing, cuttingWidth, clearance, headlandLaps and
+ *           turnRadius. `signal` aborts on cancel or timeout. onProgress(stage, fraction)
+ *           takes a fraction of 0-1, or null when the progress is unknown.
+ *           `cached: true` in the result shows the "cached" badge next to the statistics.
+ *   timeout optional milliseconds before the page gives up (default 30s, 0 = never)
+ *
+ * Register from the console or a script loaded after app.js:
+ *   BladeOfGrass.registerPlanner({ name: 'mine', schema: {}, plan: async (scenario) => ({ path: [...] }) })
+ */
+
+class PlannerRegistry {
+    constructor() {
+        this.planners = new Map();
+        this.listeners = [];
+    }
+
+    // Add a planner, replacing any registered under the same name
+    register(planner) {
+        if (!planner || typeof planner.name !== 'string' || planner.name.trim() === '') {
+            throw new Error('Planner needs a non-empty name');
+        }
+        if (typeof planner.plan !== 'function') {
+            throw new Error(`Planner "${planner.name}" needs a plan(scenario, params) function`);
+        }
+        const schema = planner.schema || {};
+        Object.entries(schema).forEach(([key, field]) => {
+            if (!['number', 'integer', 'select', 'boolean'].includes(field.type)) {
+                throw new Error(`Planner "${planner.name}": parameter "${key}" has unknown type "${field.type}"`);
+            }
+            if (field.type === 'select' && !(Array.isArray(field.options) && field.options.length > 0)) {
+                throw new Error(`Planner "${planner.name}": select parameter "${key}" needs options`);
+            }
+        });
+
+        const replaced = this.planners.has(planner.name);
+        this.planners.set(planner.name, {
+            label: planner.name,
+            description: '',
+            ...planner,
+            schema
+        });
+        console.log(`🧩 Planner ${replaced ? 'replaced' : 'registered'}: ${planner.name}`);
+        this.notify();
+        return planner.name;
+    }
+
+    unregister(name) {
+        const removed = this.planners.delete(name);
+        if (removed) this.notify();
+        return removed;
+    }
+
+    get(name) {
+        return this.planners.get(name) || null;
+    }
+
+    list() {
+        return [...this.planners.values()];
+    }
+
+    // Called with the planner list after every change
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.list()));
+    }
+
+    // scenario.mower (pixels) from the page's mower parameters (meters)
+    static mowerOptions(params) {
+        return {
+            stripeSpacing: (params.cuttingWidth - params.overlap) * 50,
+            cuttingWidth: params.cuttingWidth * 50,
+            clearance: (params.robotRadius + params.safetyMargin) * 50,
+            headlandLaps: params.headlandLaps,
+            turnRadius: params.turnRadius * 50
+        };
+    }
+
+    // Parameter values from the schema defaults
+    static defaults(schema) {
+        const params = {};
+        Object.entries(schema).forEach(([key, field]) => {
+            params[key] = field.default !== undefined ? field.default : PlannerRegistry.emptyValue(field);
+        });
+        return params;
+    }
+
+    static emptyValue(field) {
+        if (field.type === 'boolean') return false;
+        if (field.type === 'select') return field.options[0].value;
+        return field.min !== undefined ? field.min : 0;
+    }
+
+    // Error message for the first invalid parameter, or null
+    static validate(schema, params) {
+        for (const [key, field] of Object.entries(schema)) {
+            const value = params[key];
+            const label = field.label || key;
+            if (field.type === 'number' || field.type === 'integer') {
+                if (typeof value !== 'number' || !isFinite(value)) return `${label} must be a number`;
+                if (field.type === 'integer' && !Number.isInteger(value)) return `${label} must be a whole number`;
+                if (field.min !== undefined && value < field.min) return `${label} must be at least ${field.min}`;
+                if (field.max !== undefined && value > field.max) return `${label} must be at most ${field.max}`;
+            } else if (field.type === 'select') {
+                if (!field.options.some(option => option.value === value)) return `${label} must be one of the listed options`;
+            } else if (field.type === 'boolean' && typeof value !== 'boolean') {
+                return `${label} must be on or off`;
+            }
+        }
+        return null;
+    }
+}
+
+// Shared by the page and by scripts that register their own planners
+// Mower parameters of the page in meters (protocol: cutting_width, overlap, robot_radius); the
+// command-line tools and POST /api/simulate fill in what a scenario leaves out from these too
+PlannerRegistry.MOWER_DEFAULTS = {
+    cuttingWidth: 0.9,
+    overlap: 0.1,
+    robotRadius: 0.4,
+    safetyMargin: 0.1,
+    headlandLaps: 1,
+    turnRadius: 0.5
+};
+
+const plannerRegistry = new PlannerRegistry();
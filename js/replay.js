@@ -0,0 +1,163 @@
+/**
+ * Timeline Replay for BladeOfGrass Path Planning Prototype
+ * Runs the current yard and plan through the server simulation (POST /api/simulate, needs
+ * server.js) and replays the returned timeline on the canvas
+ *
+ * Frames are shown one per animation step at the speed of the slider. Discoveries, detours and
+ * collisions from the timeline's events are applied when the replay reaches their time. Any
+ * timeline in the /api/simulate format can be replayed with BladeOfGrass.replayTimeline(timeline).
+ */
+
+class TimelineReplay {
+    constructor(app) {
+        this.app = app;
+        this.timeline = null;
+        this.frameIndex = 0;
+        this.eventIndex = 0;
+        this.timer = null;         // pending animation step while playing
+        this.requesting = false;   // waiting for the server simulation
+        this.detours = {};         // latest detour points per robot name
+        this.replanCount = 0;      // replans and collisions replayed so far
+        this.collisionCount = 0;
+        this.setupEventListeners();
+    }
+
+    get playing() {
+        return this.timer !== null;
+    }
+
+    setupEventListeners() {
+        document.getElementById('simulateServerBtn')?.addEventListener('click', () => {
+            if (this.playing) {
+                this.stop();
+            } else {
+                this.simulateOnServer();
+            }
+        });
+    }
+
+    async simulateOnServer() {
+        const canvas = this.app.canvas;
+        if (canvas.plannedPath.length === 0) {
+            alert('Please generate a path first');
+            return;
+        }
+
+        const { boundary, obstacles, dynamicObstacles, parameters, sensor } = this.app.exportData();
+        const body = {
+            scenario: { boundary, obstacles, dynamicObstacles, parameters, sensor },
+            plan: { path: canvas.plannedPath, robotPaths: canvas.robotPlans.map(plan => plan.path) }
+        };
+
+        this.requesting = true;
+        this.app.controls.updateButtonStates();
+        canvas.updateCanvasOverlay('Simulating the run on the server...');
+        try {
+            const response = await fetch('/api/simulate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const timeline = await response.json();
+            if (!response.ok) throw BuiltinPlanners.serverError(timeline, `Server answered ${response.status}`);
+            this.requesting = false;
+            this.play(timeline);
+        } catch (error) {
+            this.requesting = false;
+            this.app.controls.updateButtonStates();
+            canvas.updateCanvasOverlay('Server simulation failed. Is the server running (npm start)?');
+            this.app.showError('Server simulation failed: ' + error.message, error.errors);
+        }
+    }
+
+    play(timeline) {
+        if (!timeline || !Array.isArray(timeline.frames) || timeline.frames.length === 0) {
+            alert('Cannot replay: the timeline has no frames');
+            return;
+        }
+        const controls = this.app.controls;
+        if (controls.isRunning) controls.stop();
+        this.stop();
+
+        this.timeline = timeline;
+        this.frameIndex = 0;
+        this.eventIndex = 0;
+        this.detours = {};
+        this.replanCount = 0;
+        this.collisionCount = 0;
+        this.app.canvas.dynamicObstacles.forEach(obstacle => {
+            obstacle.discovered = false;
+        });
+        console.log(`🎞️ Replaying ${timeline.frames.length} frames, ${controls.formatDuration(timeline.time)} simulated (${timeline.outcome})`);
+        this.showFrame();
+        controls.updateButtonStates();
+    }
+
+    stop() {
+        if (!this.playing) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.app.canvas.updateRobots([]);
+        this.app.controls.updateButtonStates();
+        this.app.controls.updateRobotStatus('Stopped', null, 0, 0);
+    }
+
+    // Draw the current frame, then schedule the next one
+    showFrame() {
+        const canvas = this.app.canvas;
+        const controls = this.app.controls;
+        const timeline = this.timeline;
+        const frame = timeline.frames[this.frameIndex];
+
+        const events = timeline.events || [];
+        while (this.eventIndex < events.length && events[this.eventIndex].time <= frame.time) {
+            this.applyEvent(events[this.eventIndex++]);
+        }
+
+        const robots = frame.robots.map((robot, index) => ({
+            name: robot.name,
+            color: frame.robots.length > 1 ? canvas.robotColor(index) : canvas.colors.robot,
+            position: robot.x === null ? null : { x: robot.x, y: robot.y, heading: robot.heading },
+            detourPath: robot.state === 'Replanning' || robot.state === 'Detouring' ? this.detours[robot.name] || [] : [],
+            state: robot.state,
+            progress: robot.progress
+        }));
+        canvas.updateRobots(robots);
+
+        const single = robots.length === 1 ? robots[0] : null;
+        const progress = robots.reduce((sum, robot) => sum + robot.progress, 0) / robots.length;
+        controls.updateRobotStatus(single ? single.state : 'Replaying', single ? single.position : null, progress, null);
+        document.getElementById('replanCount').textContent = this.replanCount;
+        document.getElementById('collisionCount').textContent = this.collisionCount;
+        document.getElementById('discoveredCount').textContent =
+            `${canvas.dynamicObstacles.filter(obstacle => obstacle.discovered).length}/${canvas.dynamicObstacles.length}`;
+
+        const mowed = frame.coverage !== null && frame.coverage !== undefined ? `, ${(frame.coverage * 100).toFixed(1)}% mowed` : '';
+        this.frameIndex++;
+        if (this.frameIndex >= timeline.frames.length) {
+            this.timer = null;
+            const outcome = timeline.outcome || 'complete';
+            controls.updateRobotStatus(outcome.charAt(0).toUpperCase() + outcome.slice(1), null, null, 0);
+            canvas.updateCanvasOverlay(`Server run ${timeline.outcome}: ${controls.formatDuration(timeline.time)}${mowed}, ` +
+                `${timeline.replanCount || 0} replans, ${timeline.collisions || 0} collisions`);
+            controls.updateButtonStates();
+            return;
+        }
+
+        canvas.updateCanvasOverlay(`Replaying server run: ${controls.formatDuration(frame.time)} of ${controls.formatDuration(timeline.time)}${mowed}`);
+        const delay = Math.max(50, 500 - (controls.currentSpeed * 45));
+        this.timer = setTimeout(() => this.showFrame(), delay);
+    }
+
+    applyEvent(event) {
+        if (event.type === 'obstacle-detected') {
+            const obstacle = this.app.canvas.dynamicObstacles.find(candidate => candidate.id === event.id);
+            if (obstacle) obstacle.discovered = true;
+        } else if (event.type === 'replan') {
+            this.detours[event.robot] = event.detour;
+            this.replanCount++;
+        } else if (event.type === 'collision') {
+            this.collisionCount++;
+        }
+    }
+}
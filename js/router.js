@@ -0,0 +1,178 @@
+/**
+ * Transit Router for BladeOfGrass Path Planning Prototype
+ * Shortest moves through free space that keep the robot clearance from every edge
+ *
+ * Routes run on a visibility graph: the nodes are the concave corners of the robot-center
+ * free space (inset boundary and grown obstacles), linked when the straight move between
+ * them keeps the clearance from the original boundary and obstacles. A shortest path only
+ * passes a corner tangentially, so links that would cut into the loop at either corner are
+ * left out before the (costlier) clearance test. Queries connect the two end points to every
+ * visible node the same way and run Dijkstra.
+ */
+
+class TransitRouter {
+    constructor(boundary, obstacles, clearance, freeSpace) {
+        this.boundary = boundary;
+        this.obstacles = obstacles;
+        this.clearance = clearance;
+        this.slack = 1; // pixels; free-space contours are sampled, so allow a little less than the clearance
+        this.edges = [
+            ...Geometry.polygonEdges(boundary),
+            ...obstacles.flatMap(points => Geometry.polygonEdges(points))
+        ].map(edge => ({
+            ...edge,
+            minX: Math.min(edge.a.x, edge.b.x), maxX: Math.max(edge.a.x, edge.b.x),
+            minY: Math.min(edge.a.y, edge.b.y), maxY: Math.max(edge.a.y, edge.b.y)
+        }));
+
+        const loops = freeSpace && freeSpace.boundary
+            ? [{ points: freeSpace.boundary, hole: false }, ...freeSpace.obstacles.map(points => ({ points, hole: true }))]
+            : [{ points: boundary, hole: false }, ...obstacles.map(points => ({ points, hole: true }))];
+        const corners = loops.flatMap(loop => TransitRouter.concaveCorners(loop.points, loop.hole));
+        this.nodes = corners.map(corner => corner.point);
+        this.corners = corners;
+        this.graph = null; // built on the first query
+    }
+
+    // Corners where the free space turns inward, with their neighbours on the loop; shortest paths only bend there
+    static concaveCorners(points, hole) {
+        const orientation = Math.sign(Geometry.signedArea(points));
+        return points.map((point, i) => ({
+            point,
+            previous: points[(i + points.length - 1) % points.length],
+            next: points[(i + 1) % points.length]
+        })).filter(({ point, previous, next }) => {
+            const cross = (point.x - previous.x) * (next.y - point.y) - (point.y - previous.y) * (next.x - point.x);
+            return hole ? Math.sign(cross) === orientation : Math.sign(cross) === -orientation;
+        });
+    }
+
+    // True when the line from `point` through corner `index` only touches its loop there:
+    // both neighbours of the corner lie on the same side of it
+    isTangent(index, point) {
+        const { point: corner, previous, next } = this.corners[index];
+        const side = other => Math.sign((corner.x - point.x) * (other.y - point.y) - (corner.y - point.y) * (other.x - point.x));
+        return side(previous) * side(next) >= 0;
+    }
+
+    // True when the straight move a-b stays in free space
+    isClear(a, b) {
+        const limit = this.clearance - this.slack;
+        const reach = Math.max(limit, 0) + 1e-6;
+        const minX = Math.min(a.x, b.x) - reach;
+        const maxX = Math.max(a.x, b.x) + reach;
+        const minY = Math.min(a.y, b.y) - reach;
+        const maxY = Math.max(a.y, b.y) + reach;
+        const stops = [0, 1]; // positions along a-b where it touches an edge
+        for (let i = 0; i < this.edges.length; i++) {
+            const edge = this.edges[i];
+            // Edges outside the move's bounding box (grown by the clearance) cannot be in the way
+            if (edge.maxX < minX || edge.minX > maxX || edge.maxY < minY || edge.minY > maxY) continue;
+            if (limit > 0) {
+                if (Geometry.segmentDistance(a, b, edge.a, edge.b) < limit) return false;
+            } else if (this.crossesProperly(a, b, edge.a, edge.b)) {
+                return false;
+            } else {
+                [edge.a, edge.b, Geometry.segmentIntersection(a, b, edge.a, edge.b)].forEach(point => {
+                    if (point && Geometry.pointSegmentDistance(point, a, b) < 1e-6) stops.push(this.position(point, a, b));
+                });
+            }
+        }
+
+        // Between two touches the move stays on one side of every edge, so one point per stretch
+        // tells whether it is free; a move can enter and leave an obstacle through two corners
+        stops.sort((s, t) => s - t);
+        for (let i = 1; i < stops.length; i++) {
+            if (stops[i] - stops[i - 1] < 1e-9) continue;
+            const t = (stops[i - 1] + stops[i]) / 2;
+            if (!this.isFree({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t })) return false;
+        }
+        return true;
+    }
+
+    // Inside the boundary and outside every obstacle; points on an edge count as free
+    isFree(point) {
+        if (this.edges.some(edge => Geometry.pointSegmentDistance(point, edge.a, edge.b) < 1e-6)) return true;
+        return Geometry.isPointInPolygon(point, this.boundary) &&
+            !this.obstacles.some(points => Geometry.isPointInPolygon(point, points));
+    }
+
+    // Fraction of the way from a to b of a point on that segment
+    position(point, a, b) {
+        const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        return lengthSquared > 0 ? ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / lengthSquared : 0;
+    }
+
+    // Crossing that is not just touching at an end point
+    crossesProperly(a, b, c, d) {
+        const hit = Geometry.segmentIntersection(a, b, c, d);
+        if (!hit) return false;
+        const touches = [a, b, c, d].some(point => Geometry.distance(point, hit) < 1e-6);
+        return !touches;
+    }
+
+    buildGraph() {
+        this.graph = this.nodes.map(() => []);
+        for (let i = 0; i < this.nodes.length; i++) {
+            for (let j = i + 1; j < this.nodes.length; j++) {
+                if (!this.isTangent(i, this.nodes[j]) || !this.isTangent(j, this.nodes[i])) continue;
+                if (this.isClear(this.nodes[i], this.nodes[j])) {
+                    const length = Geometry.distance(this.nodes[i], this.nodes[j]);
+                    this.graph[i].push({ node: j, length });
+                    this.graph[j].push({ node: i, length });
+                }
+            }
+        }
+    }
+
+    // Point list from `from` to `to` (both included), or null when they are not connected
+    route(from, to) {
+        if (this.isClear(from, to)) return [from, to];
+        if (!this.graph) this.buildGraph();
+
+        // Dijkstra over the corners; index n is the start, n + 1 the goal
+        const n = this.nodes.length;
+        const startLinks = [];
+        const goalLinks = new Map();
+        this.nodes.forEach((node, i) => {
+            if (this.isTangent(i, from) && this.isClear(from, node)) {
+                startLinks.push({ node: i, length: Geometry.distance(from, node) });
+            }
+            if (this.isTangent(i, to) && this.isClear(node, to)) goalLinks.set(i, Geometry.distance(node, to));
+        });
+
+        const distance = new Array(n + 2).fill(Infinity);
+        const previous = new Array(n + 2).fill(-1);
+        const done = new Array(n + 2).fill(false);
+        distance[n] = 0;
+
+        while (true) {
+            let current = -1;
+            for (let i = 0; i < n + 2; i++) {
+                if (!done[i] && distance[i] < Infinity && (current < 0 || distance[i] < distance[current])) current = i;
+            }
+            if (current < 0) return null;
+            if (current === n + 1) break;
+            done[current] = true;
+
+            const links = current === n ? startLinks : this.graph[current];
+            links.forEach(link => {
+                if (distance[current] + link.length < distance[link.node]) {
+                    distance[link.node] = distance[current] + link.length;
+                    previous[link.node] = current;
+                }
+            });
+            if (goalLinks.has(current) && distance[current] + goalLinks.get(current) < distance[n + 1]) {
+                distance[n + 1] = distance[current] + goalLinks.get(current);
+                previous[n + 1] = current;
+            }
+        }
+
+        const points = [to];
+        for (let node = previous[n + 1]; node !== n; node = previous[node]) {
+            points.unshift(this.nodes[node]);
+        }
+        points.unshift(from);
+        return points;
+    }
+}
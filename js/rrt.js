@@ -0,0 +1,103 @@
+/**
+ * RRT* Re-routing for BladeOfGrass Path Planning Prototype
+ * Detours around dynamic obstacles during simulation (see docs/algorithms.md, "RRT* for Dynamic Replanning")
+ *
+ * The tree grows from the robot toward random samples (with goal bias) in fixed steps. Each
+ * new node takes the cheapest collision-free parent within the rewire radius and then offers
+ * itself as a cheaper parent to its neighbors. Planning stops once the goal is connected; the
+ * path is then shortcut wherever a straight move is collision-free.
+ */
+
+class RRTStarPlanner {
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || 5000; // RRT_MAX_ITERATIONS
+        this.stepSize = options.stepSize || 50; // pixels (RRT_STEP_SIZE_M)
+        this.goalBias = options.goalBias !== undefined ? options.goalBias : 0.1; // RRT_GOAL_BIAS
+        this.rewireRadius = options.rewireRadius || 100; // pixels (RRT_REWIRE_RADIUS_M)
+        this.random = options.random || Math.random;
+    }
+
+    // Point list from start to goal, or null. `isClear(a, b)` tests a straight move;
+    // samples are drawn from `bounds` ({ minX, maxX, minY, maxY }).
+    plan(start, goal, isClear, bounds) {
+        const nodes = [{ point: start, parent: null, children: [], cost: 0 }];
+        let goalNode = null;
+
+        for (let i = 0; i < this.maxIterations && !goalNode; i++) {
+            // Sample random point (goal-biased)
+            const sample = this.random() < this.goalBias ? goal : {
+                x: bounds.minX + this.random() * (bounds.maxX - bounds.minX),
+                y: bounds.minY + this.random() * (bounds.maxY - bounds.minY)
+            };
+
+            // Steer from the nearest node toward the sample
+            const nearest = nodes.reduce((best, node) =>
+                Geometry.distance(node.point, sample) < Geometry.distance(best.point, sample) ? node : best);
+            const distance = Geometry.distance(nearest.point, sample);
+            if (distance < 1e-6) continue;
+            const step = Math.min(this.stepSize, distance);
+            const point = {
+                x: nearest.point.x + (sample.x - nearest.point.x) * step / distance,
+                y: nearest.point.y + (sample.y - nearest.point.y) * step / distance
+            };
+            if (!isClear(nearest.point, point)) continue;
+
+            // Choose the parent with minimum cost among the near nodes
+            const near = nodes.filter(node => Geometry.distance(node.point, point) <= this.rewireRadius);
+            let parent = nearest;
+            let cost = nearest.cost + step;
+            near.forEach(node => {
+                const candidate = node.cost + Geometry.distance(node.point, point);
+                if (candidate < cost && node !== nearest && isClear(node.point, point)) {
+                    parent = node;
+                    cost = candidate;
+                }
+            });
+            const added = { point, parent, children: [], cost };
+            parent.children.push(added);
+            nodes.push(added);
+
+            // Rewire: near nodes that are cheaper to reach through the new node
+            near.forEach(node => {
+                const candidate = cost + Geometry.distance(point, node.point);
+                if (candidate < node.cost && isClear(point, node.point)) {
+                    node.parent.children.splice(node.parent.children.indexOf(node), 1);
+                    node.parent = added;
+                    added.children.push(node);
+                    this.lowerCost(node, node.cost - candidate);
+                }
+            });
+
+            if (Geometry.distance(point, goal) <= this.stepSize && isClear(point, goal)) {
+                goalNode = { point: goal, parent: added, children: [], cost: cost + Geometry.distance(point, goal) };
+            }
+        }
+
+        if (!goalNode) return null;
+
+        const path = [];
+        for (let node = goalNode; node; node = node.parent) {
+            path.unshift(node.point);
+        }
+        return this.shortcut(path, isClear);
+    }
+
+    // Propagate a cost drop to a rewired node and its descendants
+    lowerCost(node, delta) {
+        node.cost -= delta;
+        node.children.forEach(child => this.lowerCost(child, delta));
+    }
+
+    // Drop waypoints that a straight move can skip
+    shortcut(path, isClear) {
+        const result = [path[0]];
+        let i = 0;
+        while (i < path.length - 1) {
+            let j = path.length - 1;
+            while (j > i + 1 && !isClear(path[i], path[j])) j--;
+            result.push(path[j]);
+            i = j;
+        }
+        return result;
+    }
+}
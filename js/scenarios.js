@@ -0,0 +1,149 @@
+/**
+ * Scenario Browser for BladeOfGrass Path Planning Prototype
+ * Opens and saves named yards in the server's scenario library (/api/scenarios, needs server.js)
+ *
+ * A saved scenario holds the boundary, obstacles, mower and sensor parameters (the
+ * BladeOfGrass.exportData() format without the plan). Saving under the name of a listed
+ * scenario overwrites it after confirmation.
+ */
+
+class ScenarioBrowser {
+    constructor(app) {
+        this.app = app;
+        this.scenarios = [];   // summaries from GET /api/scenarios
+        this.currentId = null; // scenario last opened or saved
+        this.available = true; // false when the page is not served by server.js
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('saveScenarioBtn')?.addEventListener('click', () => this.save());
+        document.getElementById('scenarioFilterInput')?.addEventListener('change', () => this.refresh());
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+        });
+        if (response.status === 204) return null;
+        const body = await response.json();
+        if (!response.ok) throw BuiltinPlanners.serverError(body, `Server answered ${response.status}`);
+        return body;
+    }
+
+    // Reload the list, filtered by the tag in the filter box
+    async refresh() {
+        const tag = (document.getElementById('scenarioFilterInput')?.value || '').trim().toLowerCase();
+        try {
+            this.scenarios = await this.request(`/api/scenarios${tag ? `?tag=${encodeURIComponent(tag)}` : ''}`);
+            this.available = true;
+        } catch (error) {
+            console.warn('⚠️ Scenario library unavailable:', error.message);
+            this.scenarios = [];
+            this.available = false;
+        }
+        this.render();
+    }
+
+    render() {
+        const listContainer = document.getElementById('scenarioList');
+        if (!listContainer) return;
+        if (!this.available || this.scenarios.length === 0) {
+            listContainer.innerHTML = `
+                <p style="color: #7f8c8d; font-style: italic; text-align: center; padding: 20px;">
+                    ${this.available ? 'No saved scenarios' : 'Start the server (npm start) to use the scenario library'}
+                </p>
+            `;
+            return;
+        }
+
+        const escape = ScenarioBrowser.escapeHtml;
+        listContainer.innerHTML = this.scenarios.map(scenario => `
+            <div class="scenario-item ${scenario.id === this.currentId ? 'current' : ''}"
+                 title="${escape(scenario.description || scenario.name)}" data-id="${escape(scenario.id)}">
+                <img class="scenario-thumbnail" src="${escape(scenario.thumbnail)}" alt="">
+                <div class="scenario-info">
+                    <span class="scenario-name">${escape(scenario.name)}</span>
+                    <span class="scenario-tags">${scenario.tags.map(tag => `#${escape(tag)}`).join(' ')}</span>
+                </div>
+                <button class="obstacle-delete">
+                    ✕
+                </button>
+            </div>
+        `).join('');
+
+        // Ids come from the server's files, so they are passed as data, never as markup or script
+        listContainer.querySelectorAll('.scenario-item').forEach(item => {
+            item.addEventListener('click', () => this.open(item.dataset.id));
+            item.querySelector('.obstacle-delete').addEventListener('click', event => {
+                event.stopPropagation();
+                this.remove(item.dataset.id);
+            });
+        });
+    }
+
+    async open(id) {
+        try {
+            const scenario = await this.request(`/api/scenarios/${encodeURIComponent(id)}`);
+            if (this.app.controls.isRunning) this.app.controls.stop();
+            if (!this.app.importData(scenario.data)) return;
+            this.currentId = scenario.id;
+            document.getElementById('scenarioNameInput').value = scenario.name;
+            document.getElementById('scenarioTagsInput').value = scenario.tags.join(', ');
+            this.render();
+            this.app.canvas.updateCanvasOverlay(`Opened scenario "${scenario.name}". Click PLAN to generate a path.`);
+            console.log(`📁 Scenario opened: ${scenario.id}`);
+        } catch (error) {
+            this.app.showError('Failed to open scenario: ' + error.message, error.errors);
+        }
+    }
+
+    async save() {
+        const name = document.getElementById('scenarioNameInput').value.trim();
+        if (!name) {
+            alert('Please enter a scenario name');
+            return;
+        }
+        if (this.app.canvas.boundary.length < 3) {
+            alert('Please define a boundary first');
+            return;
+        }
+
+        const { boundary, obstacles, dynamicObstacles, parameters, sensor } = this.app.exportData();
+        const body = {
+            name,
+            tags: document.getElementById('scenarioTagsInput').value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            data: { boundary, obstacles, dynamicObstacles, parameters, sensor }
+        };
+
+        try {
+            const existing = this.scenarios.find(scenario => scenario.name.toLowerCase() === name.toLowerCase());
+            if (existing && !confirm(`Overwrite scenario "${existing.name}"?`)) return;
+            const saved = existing
+                ? await this.request(`/api/scenarios/${encodeURIComponent(existing.id)}`, { method: 'PUT', body: JSON.stringify(body) })
+                : await this.request('/api/scenarios', { method: 'POST', body: JSON.stringify(body) });
+            this.currentId = saved.id;
+            this.app.canvas.updateCanvasOverlay(`Scenario "${saved.name}" saved.`);
+            await this.refresh();
+        } catch (error) {
+            this.app.showError('Failed to save scenario: ' + error.message, error.errors);
+        }
+    }
+
+    async remove(id) {
+        const scenario = this.scenarios.find(candidate => candidate.id === id);
+        if (!confirm(`Delete scenario "${scenario ? scenario.name : id}"?`)) return;
+        try {
+            await this.request(`/api/scenarios/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (this.currentId === id) this.currentId = null;
+            await this.refresh();
+        } catch (error) {
+            this.app.showError('Failed to delete scenario: ' + error.message, error.errors);
+        }
+    }
+
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+}
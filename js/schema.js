@@ -0,0 +1,279 @@
+/**
+ * Protocol Schemas for BladeOfGrass Path Planning Prototype
+ * Versioned JSON Schemas for the planner protocol and the page's scenario format, and a small
+ * validator for the draft-07 keywords they use. Shared by the page (importData) and the server
+ * (request bodies, planner output); served at GET /api/schemas for planner authors.
+ *
+ *   plan-request  input.json given to a planner (docs/guidelines.md, "File Communication Protocol")
+ *   plan-result   output.json written by a planner
+ *   scenario      BladeOfGrass.exportData() / importData() and the scenario library's data
+ *
+ * validate(name, value) returns [] when the document is valid, otherwise every problem as
+ * { code, path, message }: code is one of ProtocolSchema.CODES and path names the field in the
+ * document ('boundary[2].x', '' for the document itself). Documents may state the version they
+ * follow in `schema_version`; version 1 is the only one so far.
+ */
+
+class ProtocolSchema {
+    // The named schema, or null
+    static schema(name) {
+        return Object.prototype.hasOwnProperty.call(ProtocolSchema.SCHEMAS, name) ? ProtocolSchema.SCHEMAS[name] : null;
+    }
+
+    static validate(name, value, basePath = '') {
+        const schema = ProtocolSchema.schema(name);
+        if (!schema) throw new Error(`Unknown schema "${name}"`);
+        // A document of another version is not checked against this one
+        const version = value !== null && typeof value === 'object' ? value.schema_version : undefined;
+        if (version !== undefined && version !== 1) {
+            const path = basePath ? `${basePath}.schema_version` : 'schema_version';
+            return [{ code: 'UNSUPPORTED_VERSION', path, message: `${path} ${JSON.stringify(version)} is not supported (expected 1)` }];
+        }
+
+        const errors = [];
+        ProtocolSchema.check(schema, value, basePath, schema, errors);
+        if (errors.length === 0 && ProtocolSchema.RULES[name]) {
+            ProtocolSchema.RULES[name](value, basePath, errors);
+        }
+        return errors;
+    }
+
+    // All messages in one line, for logs and error messages
+    static describe(errors) {
+        return errors.map(error => error.message).join('; ');
+    }
+
+    static check(schema, value, path, root, errors) {
+        if (schema.$ref) {
+            schema = root.definitions[schema.$ref.replace('#/definitions/', '')];
+        }
+        const name = path || 'document';
+        const add = (code, message, at = path) => errors.push({ code, path: at, message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => ProtocolSchema.isType(value, type))) {
+                add('INVALID_TYPE', `${name} must be ${types.map(type => ProtocolSchema.TYPE_NAMES[type]).join(' or ')}`);
+                return;
+            }
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            add('INVALID_VALUE', `${name} must be ${JSON.stringify(schema.const)}`);
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            add('INVALID_VALUE', `${name} must be one of ${schema.enum.join(', ')}`);
+            return;
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) add('OUT_OF_RANGE', `${name} must be at least ${schema.minimum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                add('OUT_OF_RANGE', `${name} must be greater than ${schema.exclusiveMinimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) add('OUT_OF_RANGE', `${name} must be at most ${schema.maximum}`);
+        }
+        if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            add('INVALID_VALUE', `${name} must be ${schema.patternName || `a string matching ${schema.pattern}`}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                add('TOO_FEW_ITEMS', `${name} needs at least ${schema.minItems} ${schema.itemName || 'items'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => ProtocolSchema.check(schema.items, item, `${path}[${i}]`, root, errors));
+            }
+        } else if (value !== null && typeof value === 'object') {
+            (schema.required || []).forEach(key => {
+                const at = path ? `${path}.${key}` : key;
+                if (value[key] === undefined) add('MISSING_FIELD', `${at} is required`, at);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, property]) => {
+                if (value[key] !== undefined) {
+                    ProtocolSchema.check(property, value[key], path ? `${path}.${key}` : key, root, errors);
+                }
+            });
+        }
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            case 'null': return value === null;
+            default: return false;
+        }
+    }
+}
+
+// Error codes: schema keywords, plus INVALID_JSON (unparseable body) and NO_SOLUTION (valid
+// request, but the planner found no path) used by the server and planners
+ProtocolSchema.CODES = [
+    'INVALID_JSON', 'INVALID_TYPE', 'MISSING_FIELD', 'TOO_FEW_ITEMS', 'OUT_OF_RANGE', 'INVALID_VALUE',
+    'UNSUPPORTED_VERSION', 'NO_SOLUTION'
+];
+
+ProtocolSchema.TYPE_NAMES = {
+    object: 'an object', array: 'an array', number: 'a number', integer: 'a whole number',
+    string: 'a string', boolean: 'true or false', null: 'null'
+};
+
+// Shared by all schemas; coordinates are canvas pixels (50px = 1m)
+const PROTOCOL_DEFINITIONS = {
+    point: {
+        type: 'object',
+        required: ['x', 'y'],
+        properties: { x: { type: 'number' }, y: { type: 'number' } }
+    },
+    polygon: { type: 'array', minItems: 3, itemName: 'points', items: { $ref: '#/definitions/point' } },
+    path: { type: 'array', items: { $ref: '#/definitions/point' } },
+    error: {
+        type: 'object',
+        required: ['code', 'path', 'message'],
+        properties: { code: { type: 'string' }, path: { type: 'string' }, message: { type: 'string' } }
+    }
+};
+
+ProtocolSchema.SCHEMAS = {
+    'plan-request': {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'https://bladeofgrass.local/schemas/plan-request.v1.json',
+        title: 'BladeOfGrass plan request, version 1',
+        type: 'object',
+        required: ['command', 'boundary', 'parameters'],
+        properties: {
+            schema_version: { const: 1 },
+            command: { const: 'plan' },
+            boundary: { $ref: '#/definitions/polygon' },
+            static_obstacles: { type: 'array', items: { $ref: '#/definitions/polygon' } },
+            dynamic_obstacles: { type: 'array', items: { $ref: '#/definitions/polygon' } },
+            parameters: {
+                type: 'object',
+                required: ['cutting_width', 'overlap', 'robot_radius'],
+                properties: {
+                    cutting_width: { type: 'number', exclusiveMinimum: 0 },
+                    overlap: { type: 'number', minimum: 0, description: 'smaller than cutting_width' },
+                    robot_radius: { type: 'number', minimum: 0 },
+                    safety_margin: { type: 'number', minimum: 0 },
+                    headland_laps: { type: 'integer', minimum: 0 },
+                    turn_radius: { type: 'number', minimum: 0 },
+                    pattern: { enum: ['boustrophedon', 'spiral', 'concentric', 'random'] }
+                }
+            }
+        },
+        definitions: PROTOCOL_DEFINITIONS
+    },
+
+    'plan-result': {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'https://bladeofgrass.local/schemas/plan-result.v1.json',
+        title: 'BladeOfGrass plan result, version 1',
+        type: 'object',
+        required: ['success'],
+        properties: {
+            schema_version: { const: 1 },
+            success: { type: 'boolean' },
+            path: {
+                type: 'array',
+                description: 'required when success is true',
+                items: {
+                    type: 'object',
+                    required: ['x', 'y'],
+                    properties: { x: { type: 'number' }, y: { type: 'number' }, heading: { type: 'number' } }
+                }
+            },
+            sections: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['type', 'start', 'end'],
+                    properties: {
+                        type: { enum: ['coverage', 'headland', 'transit'] },
+                        start: { type: 'integer', minimum: 0 },
+                        end: { type: 'integer', minimum: 0 }
+                    }
+                }
+            },
+            stats: { type: ['object', 'null'] },
+            error: { type: ['string', 'null'] },
+            errors: { type: 'array', items: { $ref: '#/definitions/error' } }
+        },
+        definitions: PROTOCOL_DEFINITIONS
+    },
+
+    'scenario': {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'https://bladeofgrass.local/schemas/scenario.v1.json',
+        title: 'BladeOfGrass scenario (page export format), version 1',
+        type: 'object',
+        required: ['boundary'],
+        properties: {
+            schema_version: { const: 1 },
+            boundary: { $ref: '#/definitions/polygon' },
+            obstacles: { type: 'array', items: { $ref: '#/definitions/obstacle' } },
+            dynamicObstacles: { type: 'array', items: { $ref: '#/definitions/obstacle' } },
+            plannedPath: { $ref: '#/definitions/path' },
+            robotPaths: { type: 'array', items: { $ref: '#/definitions/path' } },
+            parameters: {
+                type: ['object', 'null'],
+                properties: {
+                    cuttingWidth: { type: 'number', exclusiveMinimum: 0 },
+                    overlap: { type: 'number', minimum: 0 },
+                    robotRadius: { type: 'number', minimum: 0 },
+                    safetyMargin: { type: 'number', minimum: 0 },
+                    headlandLaps: { type: 'integer', minimum: 0 },
+                    turnRadius: { type: 'number', minimum: 0 }
+                }
+            },
+            sensor: {
+                type: ['object', 'null'],
+                properties: {
+                    range: { type: 'number', minimum: 0.1 },
+                    fov: { type: 'number', exclusiveMinimum: 0, maximum: 360 }
+                }
+            }
+        },
+        definitions: {
+            ...PROTOCOL_DEFINITIONS,
+            obstacle: {
+                type: 'object',
+                required: ['points'],
+                properties: {
+                    // The page uses ids in element attributes, so they are limited to plain characters
+                    id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', patternName: 'letters, digits, _ and - only' },
+                    points: { $ref: '#/definitions/polygon' },
+                    type: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// Checks across fields that the schema keywords cannot express (run when the schema passes)
+ProtocolSchema.RULES = {
+    'plan-request': (request, basePath, errors) => {
+        const params = request.parameters;
+        if (params.overlap >= params.cutting_width) {
+            const path = basePath ? `${basePath}.parameters.overlap` : 'parameters.overlap';
+            errors.push({ code: 'INVALID_VALUE', path, message: `${path} must be smaller than cutting_width` });
+        }
+    },
+    'plan-result': (result, basePath, errors) => {
+        if (result.success && result.path === undefined) {
+            const path = basePath ? `${basePath}.path` : 'path';
+            errors.push({ code: 'MISSING_FIELD', path, message: `${path} is required when success is true` });
+        }
+    },
+    'scenario': (scenario, basePath, errors) => {
+        const params = scenario.parameters;
+        if (params && params.overlap !== undefined && params.cuttingWidth !== undefined && params.overlap >= params.cuttingWidth) {
+            const path = basePath ? `${basePath}.parameters.overlap` : 'parameters.overlap';
+            errors.push({ code: 'INVALID_VALUE', path, message: `${path} must be smaller than cuttingWidth` });
+        }
+    }
+};
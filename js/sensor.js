@@ -0,0 +1,35 @@
+/**
+ * Obstacle Sensor for BladeOfGrass Path Planning Prototype
+ * Range and field-of-view model used by the simulation to discover dynamic obstacles (FR-S06)
+ *
+ * The sensor sees a circular sector in front of the robot: up to `range` pixels away and
+ * within half the field of view on either side of the heading. The arc is sampled, so
+ * detection works on a polygon.
+ */
+
+class SensorModel {
+    constructor(options = {}) {
+        this.range = options.range || 100; // pixels
+        this.fov = options.fov || 120; // degrees, full opening angle
+        this.arcSegments = 16;
+    }
+
+    // Sensor cone for a robot pose { x, y, heading } as a closed polygon
+    cone(position) {
+        const heading = position.heading || 0;
+        const half = Math.min(this.fov, 360) * Math.PI / 360;
+        const points = this.fov < 360 ? [{ x: position.x, y: position.y }] : [];
+        for (let i = 0; i <= this.arcSegments; i++) {
+            const angle = heading - half + 2 * half * i / this.arcSegments;
+            points.push({
+                x: position.x + this.range * Math.cos(angle),
+                y: position.y + this.range * Math.sin(angle)
+            });
+        }
+        return points;
+    }
+
+    detects(position, polygon) {
+        return Geometry.polygonsIntersect(this.cone(position), polygon);
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * Run Simulator for BladeOfGrass Path Planning Prototype
+ * Drives the robots along their planned paths in short steps, discovers dynamic obstacles with
+ * the sensor and re-routes around them with RRT*. No DOM: the page animates it one tick at a
+ * time (ControlsManager.startSimulation) and the server runs it to the end (POST /api/simulate).
+ *
+ * Time is simulated: a tick lasts as long as the longest step any robot drives in it at `speed`.
+ * Events go to onEvent(type, details) with type 'obstacle-detected', 'replan', 'collision' or
+ * 'blocked'. Dynamic obstacles are marked `discovered` and `collided` in place.
+ */
+
+class RunSimulator {
+    // plans: [{ path }] one per robot; obstacles: point arrays; dynamicObstacles: [{ id, points }];
+    // sensor: SensorModel; clearance, robotRadius, step (default: RunSimulator.defaultStep) in
+    // pixels; speed in pixels per second; cuttingWidth (pixels) turns on coverage tracking
+    constructor(options) {
+        this.boundary = options.boundary;
+        this.obstacles = options.obstacles;
+        this.dynamicObstacles = options.dynamicObstacles;
+        this.sensor = options.sensor;
+        this.clearance = options.clearance;
+        this.robotRadius = options.robotRadius;
+        this.step = options.step || RunSimulator.defaultStep(this.sensor.range);
+        this.speed = options.speed || 25; // 0.5 m/s
+        this.random = options.random || Math.random;
+        this.onEvent = options.onEvent || (() => {});
+
+        const colors = options.colors || [];
+        this.robots = options.plans.map((plan, index) => ({
+            name: `R${index + 1}`,
+            color: colors[index],
+            path: Geometry.subdividePath(plan.path, this.step),
+            currentIndex: 0,
+            detour: null,       // { points, step, rejoinIndex } while re-routing
+            detourPath: [],
+            position: null,
+            state: 'Running',
+            progress: 0,
+            replanCount: 0
+        }));
+
+        // Every dynamic obstacle starts unknown to the robots
+        this.dynamicObstacles.forEach(obstacle => {
+            obstacle.discovered = false;
+            obstacle.collided = false;
+        });
+
+        this.time = 0;            // simulated seconds
+        this.distance = 0;        // pixels driven by all robots
+        this.replanCount = 0;
+        this.detourLength = 0;
+        this.discoveryLog = [];   // { id, robot, time, position } per discovered dynamic obstacle
+        this.collisionCount = 0;  // dynamic obstacles driven into before the sensor saw them
+
+        // Mowed share of the free area, from the moves actually driven (detours included)
+        this.grid = options.cuttingWidth && this.boundary.length >= 3
+            ? new CoverageGrid(this.boundary, this.obstacles, Math.max(2, options.cuttingWidth / 4))
+            : null;
+        this.cutRadius = options.cuttingWidth / 2;
+    }
+
+    // Half the sensor range, so nothing is skipped between two looks, within 1-25 pixels
+    static defaultStep(sensorRange) {
+        return Math.min(25, Math.max(1, sensorRange / 2));
+    }
+
+    // Every robot has completed its path or is blocked
+    get finished() {
+        return this.robots.every(robot => robot.state === 'Complete' || robot.state === 'Blocked');
+    }
+
+    get complete() {
+        return this.robots.every(robot => robot.state === 'Complete');
+    }
+
+    // Mean robot progress in percent
+    get progress() {
+        return this.robots.reduce((sum, robot) => sum + robot.progress, 0) / this.robots.length;
+    }
+
+    coverage() {
+        return this.grid ? this.grid.fraction() : null;
+    }
+
+    // Move each robot one step
+    tick() {
+        const moved = this.robots.map(robot => this.stepRobot(robot));
+        this.time += Math.max(0, ...moved) / this.speed;
+    }
+
+    // Move one robot one step: follow its detour, or sense, re-route if blocked and advance.
+    // Returns the distance driven
+    stepRobot(robot) {
+        if (robot.state === 'Complete' || robot.state === 'Blocked') return 0;
+
+        // Follow an active detour before going back to the coverage path
+        if (robot.detour) {
+            return this.followDetour(robot);
+        }
+
+        const path = robot.path;
+        if (robot.currentIndex >= path.length - 1) {
+            robot.state = 'Complete';
+            robot.progress = 100;
+            return 0;
+        }
+
+        // Update robot position and look ahead with the sensor
+        const current = path[robot.currentIndex];
+        const next = path[robot.currentIndex + 1];
+        robot.position = {
+            x: current.x,
+            y: current.y,
+            heading: Math.atan2(next.y - current.y, next.x - current.x)
+        };
+        this.senseDynamicObstacles(robot);
+
+        // Stop and re-route when a discovered obstacle blocks the upcoming step
+        if (!this.isClearOfDynamicObstacles(current, next)) {
+            if (!this.planDetour(robot)) {
+                robot.state = 'Blocked';
+                this.onEvent('blocked', { robot: robot.name, position: { x: current.x, y: current.y } });
+            }
+            return 0;
+        }
+        this.checkCollisions(robot, current, next);
+
+        // Update progress
+        robot.state = 'Running';
+        robot.progress = ((robot.currentIndex + 1) / path.length) * 100;
+        robot.currentIndex++;
+        return this.drive(current, next);
+    }
+
+    drive(a, b) {
+        const length = Geometry.distance(a, b);
+        this.distance += length;
+        if (this.grid) this.grid.cover(a, b, this.cutRadius);
+        return length;
+    }
+
+    // Straight move a-b keeps the robot clearance from every discovered dynamic obstacle
+    isClearOfDynamicObstacles(a, b) {
+        return this.dynamicObstacles.filter(obstacle => obstacle.discovered).every(obstacle =>
+            !Geometry.isPointInPolygon(a, obstacle.points) &&
+            Geometry.polygonEdges(obstacle.points).every(edge => Geometry.segmentDistance(a, b, edge.a, edge.b) >= this.clearance)
+        );
+    }
+
+    // RRT* detour from the robot to the first clear point past the blockage; false when none is found
+    planDetour(robot) {
+        const path = robot.path;
+        const start = path[robot.currentIndex];
+        const rejoin = this.findRejoinPoint(path, robot.currentIndex);
+        if (!rejoin) return false;
+
+        robot.state = 'Replanning';
+
+        // Static geometry keeps the planner clearance; dynamic obstacles get the same clearance,
+        // except that the robot may back away from one it already stopped close to
+        const router = new TransitRouter(this.boundary, this.obstacles, this.clearance, null);
+        const startTooClose = !this.isClearOfDynamicObstacles(start, start);
+        const backedOff = (a, b) => {
+            const t = Math.min(1, this.clearance / Geometry.distance(a, b));
+            return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        };
+        const isClear = (a, b) => router.isClear(a, b) && (a === start && startTooClose
+            ? this.isClearOfDynamicObstacles(backedOff(a, b), b)
+            : this.isClearOfDynamicObstacles(a, b));
+
+        const planner = new RRTStarPlanner({ stepSize: 1.0 * 50, rewireRadius: 2.0 * 50, random: this.random });
+        const points = planner.plan(start, rejoin.point, isClear, Geometry.boundingBox(this.boundary));
+        if (!points) return false;
+
+        // The detour ends on the path; drive on to the next path vertex before resuming
+        robot.detour = {
+            points: Geometry.subdividePath([...points, path[rejoin.index]], this.step),
+            step: 1,
+            rejoinIndex: rejoin.index
+        };
+        robot.detourPath = points;
+        robot.replanCount++;
+        this.replanCount++;
+        this.detourLength += Geometry.pathLength(points);
+        this.onEvent('replan', { robot: robot.name, count: robot.replanCount, position: start, detour: points });
+        return true;
+    }
+
+    // First point along the path after `index` with a clear move onward: { point, index } where
+    // `index` is the path vertex to drive to next, or null when the rest of the path is blocked
+    findRejoinPoint(path, index) {
+        const sampleStep = 10; // pixels
+        for (let i = index; i < path.length - 1; i++) {
+            const length = Geometry.distance(path[i], path[i + 1]);
+            for (let d = sampleStep; d < length + sampleStep; d += sampleStep) {
+                const t = Math.min(1, d / length);
+                const point = {
+                    x: path[i].x + (path[i + 1].x - path[i].x) * t,
+                    y: path[i].y + (path[i + 1].y - path[i].y) * t
+                };
+                const nextIndex = t < 1 ? i + 1 : Math.min(i + 2, path.length - 1);
+                if (this.isClearOfDynamicObstacles(point, point) &&
+                    this.isClearOfDynamicObstacles(point, path[nextIndex])) {
+                    return { point, index: nextIndex };
+                }
+            }
+        }
+        return null;
+    }
+
+    // One simulation step along the robot's active detour; returns the distance driven
+    followDetour(robot) {
+        const { points, step } = robot.detour;
+        const current = points[step - 1];
+        const next = points[step];
+        robot.position = {
+            x: current.x,
+            y: current.y,
+            heading: Math.atan2(next.y - current.y, next.x - current.x)
+        };
+        robot.state = 'Detouring';
+        this.senseDynamicObstacles(robot);
+        this.checkCollisions(robot, current, next);
+
+        robot.detour.step++;
+        if (robot.detour.step >= points.length) {
+            // Back on the coverage path
+            robot.currentIndex = robot.detour.rejoinIndex;
+            robot.detour = null;
+        }
+        return this.drive(current, next);
+    }
+
+    // Mark dynamic obstacles inside the robot's sensor cone as discovered and log each discovery
+    senseDynamicObstacles(robot) {
+        const position = robot.position;
+        this.dynamicObstacles.forEach(obstacle => {
+            if (obstacle.discovered || !this.sensor.detects(position, obstacle.points)) return;
+
+            obstacle.discovered = true;
+            const event = {
+                id: obstacle.id,
+                robot: robot.name,
+                time: this.time,
+                position: { x: position.x, y: position.y }
+            };
+            this.discoveryLog.push(event);
+            this.onEvent('obstacle-detected', event);
+        });
+    }
+
+    // Count dynamic obstacles the robot body runs into because the sensor missed them
+    checkCollisions(robot, a, b) {
+        this.dynamicObstacles.forEach(obstacle => {
+            if (obstacle.collided) return;
+            const hit = Geometry.isPointInPolygon(b, obstacle.points) ||
+                Geometry.polygonEdges(obstacle.points).some(edge => Geometry.segmentDistance(a, b, edge.a, edge.b) < this.robotRadius);
+            if (hit) {
+                obstacle.collided = true;
+                this.collisionCount++;
+                this.onEvent('collision', { robot: robot.name, obstacle: obstacle.id, discovered: obstacle.discovered, position: b });
+            }
+        });
+    }
+}
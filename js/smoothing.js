@@ -0,0 +1,190 @@
+/**
+ * Path Smoothing for BladeOfGrass Path Planning Prototype
+ * Replaces sharp corners with arcs the mower can drive (see docs/algorithms.md, "Path Smoothing")
+ *
+ * Corners sharper than the maximum acceptable turn angle get a fillet arc of the minimum turn
+ * radius when both neighboring segments leave room for it. Stripe ends that are too close for
+ * two fillets (spacing below twice the radius) become bulb turns that loop out and back in
+ * before the stripe end. Arcs are checked with the free-space test; when no arc fits, the
+ * corner stays and is reported as a three-point turn.
+ */
+
+class PathSmoother {
+    constructor(options = {}) {
+        this.turnRadius = options.turnRadius || 25; // pixels (MIN_TURN_RADIUS_M)
+        this.maxTurnAngle = (options.maxTurnAngle || 30) * Math.PI / 180; // MAX_TURN_ANGLE_DEG
+        this.arcStep = 10 * Math.PI / 180; // arc sampling; keeps every drawn heading change small
+        this.isClear = options.isClear || (() => true); // (a, b) => straight move a-b is collision-free
+        this.epsilon = 1e-6;
+    }
+
+    // Smooth a path; `indexMap[i]` is where original point i (or the turn replacing it) starts
+    smooth(path) {
+        const result = [];
+        const indexMap = [];
+        const threePointTurns = [];
+        let consumed = 0; // length of the previous segment already used by the last turn
+
+        // Append points (skipping repeats) and return the index of the first one
+        const append = (points) => {
+            const last = result[result.length - 1];
+            const first = last && Geometry.distance(last, points[0]) <= this.epsilon ? result.length - 1 : result.length;
+            points.forEach(point => {
+                if (result.length === 0 || Geometry.distance(result[result.length - 1], point) > this.epsilon) {
+                    result.push(point);
+                }
+            });
+            return first;
+        };
+
+        indexMap[0] = append([path[0]]);
+        let i = 1;
+        while (i < path.length - 1) {
+            const angle = Geometry.turnAngle(path[i - 1], path[i], path[i + 1]);
+            if (angle <= this.maxTurnAngle) {
+                indexMap[i] = append([path[i]]);
+                consumed = 0;
+                i++;
+                continue;
+            }
+
+            const fillet = this.fillet(path, i, consumed);
+            if (fillet) {
+                indexMap[i] = append(fillet.points);
+                consumed = fillet.tangentLength;
+                i++;
+                continue;
+            }
+
+            const bulb = this.bulbTurn(path, i, consumed);
+            if (bulb) {
+                const first = append(bulb.points);
+                for (let k = i; k <= bulb.end; k++) indexMap[k] = first;
+                consumed = bulb.exitLength;
+                i = bulb.end + 1;
+                continue;
+            }
+
+            // Nothing fits: the mower stops and turns on the spot
+            threePointTurns.push(path[i]);
+            indexMap[i] = append([path[i]]);
+            consumed = 0;
+            i++;
+        }
+        if (path.length > 1) {
+            indexMap[path.length - 1] = append([path[path.length - 1]]);
+        }
+
+        return { path: result, indexMap, threePointTurns };
+    }
+
+    // Arc of the turn radius tangent to both segments at corner i, or null when it does not fit
+    fillet(path, i, consumed) {
+        const previous = path[i - 1];
+        const corner = path[i];
+        const next = path[i + 1];
+        const angle = Geometry.turnAngle(previous, corner, next);
+        const tangentLength = this.turnRadius * Math.tan(angle / 2);
+
+        // The next corner may need half of the following segment for its own turn
+        const nextIsSharp = i + 2 < path.length && Geometry.turnAngle(corner, next, path[i + 2]) > this.maxTurnAngle;
+        const roomBefore = Geometry.distance(previous, corner) - consumed;
+        const roomAfter = Geometry.distance(corner, next) / (nextIsSharp ? 2 : 1);
+        if (tangentLength > roomBefore + this.epsilon || tangentLength > roomAfter + this.epsilon) return null;
+
+        const incoming = this.direction(previous, corner);
+        const outgoing = this.direction(corner, next);
+        const entry = { x: corner.x - incoming.x * tangentLength, y: corner.y - incoming.y * tangentLength };
+        const side = Math.sign(incoming.x * outgoing.y - incoming.y * outgoing.x);
+        const center = {
+            x: entry.x - incoming.y * side * this.turnRadius,
+            y: entry.y + incoming.x * side * this.turnRadius
+        };
+
+        const points = this.arc(center, entry, side * angle);
+        return this.isPathClear([previous, ...points, next]) ? { points, tangentLength } : null;
+    }
+
+    // U-turn between two antiparallel stripes closer than twice the turn radius, or null.
+    // Three arcs of the turn radius: away from the next stripe, around, and back in.
+    bulbTurn(path, i, consumed) {
+        const incoming = this.direction(path[i - 1], path[i]);
+
+        // The turn may pass through a few connector points along the cell side
+        let end = -1;
+        for (let j = i + 1; j < Math.min(path.length - 1, i + 4); j++) {
+            const outgoing = this.direction(path[j], path[j + 1]);
+            if (incoming.x * outgoing.x + incoming.y * outgoing.y < -Math.cos(this.maxTurnAngle)) {
+                end = j;
+                break;
+            }
+        }
+        if (end < 0) return null;
+
+        // Lateral unit vector toward the next stripe, spacing between the stripe lines
+        const offset = { x: path[end].x - path[i].x, y: path[end].y - path[i].y };
+        let normal = { x: -incoming.y, y: incoming.x };
+        let spacing = offset.x * normal.x + offset.y * normal.y;
+        if (spacing < 0) {
+            normal = { x: -normal.x, y: -normal.y };
+            spacing = -spacing;
+        }
+        const radius = this.turnRadius;
+        if (spacing < this.epsilon || spacing >= 2 * radius) return null;
+
+        // Circle centers: two small ones just outside the stripes, the big loop between them
+        const reach = Math.sqrt(4 * radius * radius - Math.pow(spacing / 2 + radius, 2));
+        const along = point => point.x * incoming.x + point.y * incoming.y;
+        const top = Math.min(along(path[i]), along(path[end])); // the loop may not pass the nearer stripe end
+        const entryBack = along(path[i]) - top + reach + radius;
+        const exitBack = along(path[end]) - top + reach + radius;
+
+        const entry = { x: path[i].x - incoming.x * entryBack, y: path[i].y - incoming.y * entryBack };
+        const exit = { x: path[end].x - incoming.x * exitBack, y: path[end].y - incoming.y * exitBack };
+        if (entryBack > Geometry.distance(path[i - 1], path[i]) - consumed + this.epsilon) return null;
+        if (exitBack > Geometry.distance(path[end], path[end + 1]) / 2 + this.epsilon) return null;
+
+        const side = Math.sign(incoming.x * normal.y - incoming.y * normal.x); // turn direction toward the next stripe
+        const firstCenter = { x: entry.x - normal.x * radius, y: entry.y - normal.y * radius };
+        const loopCenter = {
+            x: entry.x + normal.x * spacing / 2 + incoming.x * reach,
+            y: entry.y + normal.y * spacing / 2 + incoming.y * reach
+        };
+        const lastCenter = { x: exit.x + normal.x * radius, y: exit.y + normal.y * radius };
+
+        // Swing of the small arcs: from their start radius to the line joining the centers
+        const swing = Math.atan2(reach, spacing / 2 + radius);
+        const first = this.arc(firstCenter, entry, -side * swing);
+        const loop = this.arc(loopCenter, first[first.length - 1], side * (Math.PI + 2 * swing));
+        const last = this.arc(lastCenter, loop[loop.length - 1], -side * swing);
+
+        const points = [...first, ...loop.slice(1), ...last.slice(1)];
+        if (!this.isPathClear([path[i - 1], ...points, path[end + 1]])) return null;
+        return { points, end, exitLength: exitBack };
+    }
+
+    // Points on the arc around `center` from `start`, sweeping `sweep` radians (positive = clockwise on screen)
+    arc(center, start, sweep) {
+        const radius = Geometry.distance(center, start);
+        const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / this.arcStep));
+        const points = [];
+        for (let k = 0; k <= steps; k++) {
+            const angle = startAngle + sweep * k / steps;
+            points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+        }
+        return points;
+    }
+
+    direction(from, to) {
+        const length = Geometry.distance(from, to);
+        return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+    }
+
+    isPathClear(points) {
+        for (let k = 0; k < points.length - 1; k++) {
+            if (!this.isClear(points[k], points[k + 1])) return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Telemetry Client for BladeOfGrass Path Planning Prototype
+ * Streams a simulation run to a server telemetry channel, or mirrors a run from one (needs server.js)
+ *
+ * Modes:
+ *   publish  this page sends the Robot Status fields (at most every `statusInterval` ms), run
+ *            events and the yard of each run, and carries out commands sent to the channel
+ *   watch    this page shows the channel's yard, robots and status instead of simulating
+ * Open index.html?watch=<channel> or ?publish=<channel> to start in a mode.
+ */
+
+class TelemetryClient {
+    constructor(app) {
+        this.app = app;
+        this.mode = 'off';
+        this.channel = 'default';
+        this.source = null;         // EventSource of the channel
+        this.statusInterval = 250;  // milliseconds between published status messages
+        this.status = { state: 'Idle', position: null, progress: 0, speed: 0 };
+        this.statusTimer = null;
+        this.lastStatusSent = 0;
+        this.sending = Promise.resolve(); // messages are posted one after another, in order
+        this.failed = false;        // publishing failed; warn once until it works again
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('telemetryModeSelect')?.addEventListener('change', (e) => this.setMode(e.target.value));
+        document.getElementById('telemetryChannelInput')?.addEventListener('change', (e) => this.setMode(this.mode, e.target.value));
+    }
+
+    // Start in the mode named by the page URL, if any
+    startFromUrl(search = window.location.search) {
+        const query = new URLSearchParams(search);
+        if (query.get('watch')) this.setMode('watch', query.get('watch'));
+        else if (query.get('publish')) this.setMode('publish', query.get('publish'));
+    }
+
+    setMode(mode, channel = this.channel) {
+        const name = String(channel).trim().toLowerCase();
+        if (!/^[a-z0-9][a-z0-9-]{0,39}$/.test(name)) {
+            alert('Telemetry channel must be 1-40 lowercase letters, digits or dashes');
+            document.getElementById('telemetryChannelInput').value = this.channel;
+            return;
+        }
+        this.disconnect();
+        this.mode = mode;
+        this.channel = name;
+        document.getElementById('telemetryModeSelect').value = mode;
+        document.getElementById('telemetryChannelInput').value = name;
+        if (mode === 'off') {
+            this.updateIndicator('Off');
+            return;
+        }
+
+        if (mode === 'watch' && this.app.controls.isRunning) this.app.controls.stop();
+        this.connect();
+        if (mode === 'publish') this.publishStatus();
+        console.log(`📡 Telemetry ${mode}: ${name}`);
+    }
+
+    connect() {
+        this.source = new EventSource(`/api/telemetry/${this.channel}/events`);
+        this.source.onopen = () => this.updateIndicator(`${this.mode === 'watch' ? 'Watching' : 'Publishing'} "${this.channel}"`);
+        this.source.onerror = () => this.updateIndicator('Reconnecting…');
+        ['status', 'event', 'scenario', 'command'].forEach(type => {
+            this.source.addEventListener(type, (e) => this.receive(JSON.parse(e.data)));
+        });
+    }
+
+    disconnect() {
+        if (this.source) this.source.close();
+        this.source = null;
+        clearTimeout(this.statusTimer);
+        this.statusTimer = null;
+    }
+
+    updateIndicator(text) {
+        const indicator = document.getElementById('telemetryState');
+        if (indicator) indicator.textContent = text;
+    }
+
+    // Robot Status fields as ControlsManager.updateRobotStatus gets them (null = unchanged);
+    // speed is in slider units like there and published in m/s
+    updateStatus(state, position, progress, speed) {
+        if (this.mode !== 'publish') return;
+        if (state !== null) this.status.state = state;
+        if (position !== null) this.status.position = position;
+        if (progress !== null) this.status.progress = progress;
+        if (speed !== null) this.status.speed = speed * 0.1;
+
+        // Throttled: the animation loop calls this every tick
+        if (this.statusTimer) return;
+        const wait = Math.max(0, this.lastStatusSent + this.statusInterval - Date.now());
+        this.statusTimer = setTimeout(() => {
+            this.statusTimer = null;
+            this.publishStatus();
+        }, wait);
+    }
+
+    publishStatus() {
+        const controls = this.app.controls;
+        this.lastStatusSent = Date.now();
+        this.publish({
+            type: 'status',
+            ...this.status,
+            robots: controls.robots.map(robot => ({
+                name: robot.name,
+                color: robot.color,
+                state: robot.state,
+                progress: robot.progress,
+                position: robot.position,
+                detourPath: robot.detourPath
+            })),
+            replanCount: controls.replanCount,
+            discovered: controls.canvas.dynamicObstacles.filter(obstacle => obstacle.discovered).length,
+            collisions: controls.collisionCount
+        });
+    }
+
+    // Run event, e.g. publishEvent('obstacle-detected', { robot: 'R1', obstacle: 'D1', position })
+    publishEvent(event, details = {}) {
+        if (this.mode !== 'publish') return;
+        this.publish({ type: 'event', event, ...details });
+    }
+
+    // The yard and robot paths, sent when a run starts so watchers draw the same picture
+    publishScenario() {
+        if (this.mode !== 'publish') return;
+        const { boundary, obstacles, dynamicObstacles, plannedPath, robotPaths, parameters, sensor } = this.app.exportData();
+        this.publish({ type: 'scenario', data: { boundary, obstacles, dynamicObstacles, plannedPath, robotPaths, parameters, sensor } });
+    }
+
+    publish(message) {
+        const channel = this.channel;
+        this.sending = this.sending.then(() => this.post(channel, message));
+        return this.sending;
+    }
+
+    async post(channel, message) {
+        try {
+            const response = await fetch(`/api/telemetry/${channel}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(message)
+            });
+            if (!response.ok) throw new Error((await response.json()).error || `Server answered ${response.status}`);
+            this.failed = false;
+        } catch (error) {
+            if (!this.failed) console.warn('⚠️ Telemetry publish failed:', error.message);
+            this.failed = true;
+        }
+    }
+
+    receive(message) {
+        if (this.mode === 'publish') {
+            if (message.type === 'command') this.runCommand(message);
+        } else if (this.mode === 'watch') {
+            this.show(message);
+        }
+    }
+
+    // Commands act like pressing the button, so they are ignored while the button is disabled
+    runCommand(message) {
+        const buttons = { plan: 'planBtn', run: 'runBtn', pause: 'pauseBtn', resume: 'resumeBtn', stop: 'stopBtn' };
+        console.log(`📡 Telemetry command: ${message.command}`);
+        if (buttons[message.command]) {
+            const button = document.getElementById(buttons[message.command]);
+            if (button.disabled) {
+                console.warn(`⚠️ Ignored telemetry command "${message.command}": not available now`);
+                return;
+            }
+            button.click();
+        } else if (message.command === 'speed') {
+            const value = Math.round(Math.min(10, Math.max(1, Number(message.value) || 1)));
+            document.getElementById('speedSlider').value = value;
+            this.app.controls.updateSpeed(value);
+        } else if (message.command === 'open-scenario') {
+            this.app.scenarios.open(message.id);
+        }
+    }
+
+    // Mirror a watched channel's message on this page
+    show(message) {
+        const controls = this.app.controls;
+        if (message.type === 'scenario') {
+            this.app.importData(message.data);
+        } else if (message.type === 'status') {
+            this.app.canvas.updateRobots((message.robots || []).map(robot => ({ ...robot, detourPath: robot.detourPath || [] })));
+            controls.updateRobotStatus(message.state ?? null, message.position ?? null, message.progress ?? null,
+                message.speed !== undefined ? message.speed / 0.1 : null);
+            document.getElementById('replanCount').textContent = message.replanCount ?? 0;
+            document.getElementById('discoveredCount').textContent =
+                `${message.discovered ?? 0}/${this.app.canvas.dynamicObstacles.length}`;
+            document.getElementById('collisionCount').textContent = message.collisions ?? 0;
+        } else if (message.type === 'event') {
+            console.log(`📡 ${this.channel}: ${message.event}`, message);
+            if (message.event === 'run-complete') this.app.canvas.updateCanvasOverlay(`Watched run on "${this.channel}" complete! 🎉`);
+            if (message.event === 'blocked') this.app.canvas.updateCanvasOverlay(`Watched run on "${this.channel}" is blocked`);
+        }
+    }
+}
@@ -1,12 +1,33 @@
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
+const { ProtocolSchema, planInputErrors, failedPlan, invalidPlan } = require('./server/protocol');
+const { plannerConfig, plannerIdentity, runPlannerProcess } = require('./server/planner-process');
+const { JobQueue } = require('./server/job-queue');
+const { PlanCache, planCacheConfig } = require('./server/plan-cache');
+const { ScenarioStore } = require('./server/scenario-store');
+const { TelemetryHub } = require('./server/telemetry');
+const { simulateRun } = require('./server/simulate');
 
 const app = express();
 const PORT = 3000;
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const planner = plannerConfig();
+const planCache = new PlanCache(planCacheConfig(dataDir));
+const jobs = new JobQueue({
+    run: async (input, signal, job) => {
+        const output = await runPlannerProcess(input, planner, signal);
+        if (job.cacheKey) planCache.put(job.cacheKey, output);
+        return output;
+    },
+    concurrency: planner.concurrency
+});
+const scenarios = new ScenarioStore(dataDir);
+const telemetry = new TelemetryHub();
 
 // Enable CORS
 app.use(cors());
+app.use(express.json({ limit: '5mb' }));
 
 // Serve static files
 app.use(express.static('.'));
@@ -22,6 +43,7 @@ app.get('/health', (req, res) => {
         status: 'OK', 
         phase: 1, 
         name: 'Basic Interface',
+        planner: planner.executable || 'bundled stand-in',
         timestamp: new Date().toISOString()
     });
 });
@@ -43,9 +65,256 @@ app.get('/debug', (req, res) => {
     res.json(status);
 });
 
+// A job for a valid plan request: answered from the plan cache when it holds the result, else
+// queued. `Cache-Control: no-cache` or ?cache=off skips the lookup (the fresh result is stored).
+function queuePlan(req) {
+    if (!planCache.enabled) return jobs.add(req.body);
+    const bypass = req.query.cache === 'off' || /no-cache|no-store/.test(req.get('Cache-Control') || '');
+    const cacheKey = planCache.key(req.body, plannerIdentity(planner));
+    const cached = bypass ? null : planCache.get(cacheKey);
+    if (cached) return jobs.addCached(req.body, cached);
+    return jobs.add(req.body, { cache: bypass ? 'bypass' : 'miss', cacheKey });
+}
+
+// Plan with the file-based protocol and wait: validate, queue, answer with the planner's output.json.
+// Long plans should use /api/jobs instead of holding the request open.
+app.post('/api/plan', (req, res) => {
+    const errors = planInputErrors(req.body);
+    if (errors.length > 0) {
+        res.status(400).json(invalidPlan(errors));
+        return;
+    }
+    
+    const job = queuePlan(req);
+    const respond = () => {
+        if (job.cache) res.set('X-Plan-Cache', job.cache);
+        if (job.state === 'succeeded') {
+            res.json(job.result);
+        } else {
+            console.error('❌ Planning failed:', job.error);
+            res.status(job.result ? 422 : job.errorStatus || 500).json(job.result || failedPlan(job.error, job.errors));
+        }
+    };
+    if (jobs.isFinished(job)) {
+        respond();
+        return;
+    }
+    const onUpdate = (updated) => {
+        if (updated !== job || !jobs.isFinished(job)) return;
+        jobs.off('update', onUpdate);
+        respond();
+    };
+    jobs.on('update', onUpdate);
+    
+    // Nobody is waiting for the answer any more
+    res.on('close', () => {
+        if (!res.writableEnded) jobs.cancel(job.id);
+    });
+});
+
+// Queue a plan job; answers 202 with the job (id, state, queue position)
+app.post('/api/jobs', (req, res) => {
+    const errors = planInputErrors(req.body);
+    if (errors.length > 0) {
+        res.status(400).json(invalidPlan(errors));
+        return;
+    }
+    const job = queuePlan(req);
+    if (job.cache) res.set('X-Plan-Cache', job.cache);
+    res.status(202).location(`/api/jobs/${job.id}`).json(jobs.view(job));
+});
+
+// Poll a job: queued, running, succeeded, failed or cancelled, with the result once finished
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: `No job ${req.params.id}` });
+        return;
+    }
+    res.json(jobs.view(job));
+});
+
+// Pushed job updates as server-sent events; the stream ends when the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: `No job ${req.params.id}` });
+        return;
+    }
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    
+    const send = () => res.write(`event: job\ndata: ${JSON.stringify(jobs.view(job))}\n\n`);
+    const onUpdate = (updated) => {
+        if (updated !== job) return;
+        send();
+        if (jobs.isFinished(job)) res.end();
+    };
+    send();
+    if (jobs.isFinished(job)) {
+        res.end();
+        return;
+    }
+    jobs.on('update', onUpdate);
+    res.on('close', () => jobs.off('update', onUpdate));
+});
+
+// Cancel a queued or running job; the planner process is killed
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: `No job ${req.params.id}` });
+        return;
+    }
+    const wasFinished = jobs.isFinished(job);
+    jobs.cancel(job.id);
+    res.status(wasFinished ? 409 : 200).json(jobs.view(job));
+});
+
+// Plan cache size, limit and hits since the server started
+app.get('/api/plan-cache', (req, res) => {
+    res.json(planCache.stats());
+});
+
+// Forget every cached plan
+app.delete('/api/plan-cache', (req, res) => {
+    planCache.clear();
+    res.json(planCache.stats());
+});
+
+// Answer thrown errors with the HTTP status they carry (400 invalid, 404 unknown id, ...)
+const apiRoute = (handler) => (req, res) => {
+    try {
+        handler(req, res);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+    }
+};
+
+// The versioned JSON Schemas of the planner protocol and the scenario format (js/schema.js),
+// the contract planner executables are tested against
+app.get('/api/schemas', (req, res) => {
+    res.json(Object.entries(ProtocolSchema.SCHEMAS).map(([name, schema]) => ({
+        name,
+        id: schema.$id,
+        title: schema.title,
+        url: `/api/schemas/${name}`
+    })));
+});
+
+app.get('/api/schemas/:name', (req, res) => {
+    const schema = ProtocolSchema.schema(req.params.name);
+    if (!schema) {
+        res.status(404).json({ error: `No schema ${req.params.name}` });
+        return;
+    }
+    res.json(schema);
+});
+
+// Check a document against a schema, e.g. a planner's output.json: { valid, errors }
+app.post('/api/schemas/:name/validate', (req, res) => {
+    if (!ProtocolSchema.schema(req.params.name)) {
+        res.status(404).json({ error: `No schema ${req.params.name}` });
+        return;
+    }
+    const errors = ProtocolSchema.validate(req.params.name, req.body);
+    res.json({ valid: errors.length === 0, errors });
+});
+
+// Run the robot simulation for a scenario and a plan without a browser; answers with the run
+// timeline (poses, discoveries, replans, coverage, total time; see server/simulate.js)
+app.post('/api/simulate', apiRoute((req, res) => {
+    const started = Date.now();
+    const timeline = simulateRun(req.body);
+    console.log(`🤖 Simulated ${timeline.time.toFixed(0)}s run (${timeline.outcome}) in ${Date.now() - started}ms`);
+    res.json(timeline);
+}));
+
+// Scenario library: named yards with tags and a thumbnail, one JSON file each (DATA_DIR/scenarios)
+app.get('/api/scenarios', apiRoute((req, res) => {
+    res.json(scenarios.list(req.query.tag || null));
+}));
+
+app.post('/api/scenarios', apiRoute((req, res) => {
+    const scenario = scenarios.create(req.body);
+    console.log(`📁 Scenario saved: ${scenario.id}`);
+    res.status(201).location(`/api/scenarios/${scenario.id}`).json(scenario);
+}));
+
+app.get('/api/scenarios/:id', apiRoute((req, res) => {
+    res.json(scenarios.get(req.params.id));
+}));
+
+app.put('/api/scenarios/:id', apiRoute((req, res) => {
+    res.json(scenarios.update(req.params.id, req.body));
+}));
+
+app.delete('/api/scenarios/:id', apiRoute((req, res) => {
+    scenarios.remove(req.params.id);
+    console.log(`🗑️ Scenario deleted: ${req.params.id}`);
+    res.status(204).end();
+}));
+
+// Live telemetry: the simulating page publishes status and events to a channel, watchers and
+// external tools subscribe; external tools publish commands (see server/telemetry.js)
+app.get('/api/telemetry', (req, res) => {
+    res.json(telemetry.list());
+});
+
+// Publish one message or an array of them; answers with the stamped sequence numbers
+app.post('/api/telemetry/:channel', apiRoute((req, res) => {
+    const published = telemetry.publishAll(req.params.channel, Array.isArray(req.body) ? req.body : [req.body]);
+    res.status(202).json({ channel: req.params.channel, seq: published.map(message => message.seq) });
+}));
+
+// Last scenario, last status and recent events
+app.get('/api/telemetry/:channel', apiRoute((req, res) => {
+    res.json(telemetry.snapshot(req.params.channel));
+}));
+
+// Server-sent events, one per message with the message type as event name and seq as id.
+// The snapshot is replayed first; a reconnecting EventSource (Last-Event-ID) gets only newer events.
+app.get('/api/telemetry/:channel/events', apiRoute((req, res) => {
+    const send = (message) => res.write(`event: ${message.type}\nid: ${message.seq}\ndata: ${JSON.stringify(message)}\n\n`);
+    const snapshot = telemetry.snapshot(req.params.channel);
+    const unsubscribe = telemetry.subscribe(req.params.channel, send);
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    
+    // Ids from before a server restart are ahead of the channel: replay everything
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    const lastSeen = lastEventId <= snapshot.seq ? lastEventId : 0;
+    [snapshot.scenario, ...snapshot.events, snapshot.status]
+        .filter(message => message && message.seq > lastSeen)
+        .sort((a, b) => a.seq - b.seq)
+        .forEach(send);
+    
+    // Comment lines keep proxies from closing a quiet stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+}));
+
+// Malformed JSON bodies get the answer their route gives other invalid requests: a plan result
+// from the planner routes, { error, errors } (as from apiRoute) everywhere else
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        const message = `request body is not valid JSON: ${error.message}`;
+        const errors = [{ code: 'INVALID_JSON', path: '', message }];
+        const planRoute = req.path === '/api/plan' || req.path === '/api/jobs';
+        res.status(400).json(planRoute ? failedPlan(message, errors) : { error: message, errors });
+        return;
+    }
+    next(error);
+});
+
 app.listen(PORT, () => {
     console.log(`🌱 BladeOfGrass Path Planning Prototype`);
     console.log(`📡 Server running at http://localhost:${PORT}`);
     console.log(`🎯 Phase 1: Basic Interface`);
+    console.log(`🧮 Planner: ${planner.executable || 'bundled stand-in (server/standin-planner.js)'}, timeout ${planner.timeout / 1000}s, ${planner.concurrency} at once`);
+    console.log(`🗄️ Plan cache: ${planCache.enabled ? `${planCache.dir}, up to ${planCache.maxBytes / 1024 / 1024} MB` : 'off'}`);
     console.log(`📋 Open http://localhost:${PORT} in your browser`);
 });
@@ -0,0 +1,35 @@
+/**
+ * Browser planning code for Node
+ * Loads the js/ planning scripts (global classes, no module system) into one vm context, the
+ * same way js/planner-worker.js imports them, so the server runs the exact browser planner.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PLANNING_SCRIPTS = ['geometry.js', 'offset.js', 'router.js', 'smoothing.js', 'patterns.js', 'planner.js'];
+
+// Context with the classes and constants of the given js/ scripts, loaded in order; `globals` adds to or
+// replaces what the scripts see (console, Math, Date, JSON)
+function loadBrowserScripts(files, globals = {}) {
+    const context = vm.createContext({ console, Math, Date, JSON, ...globals });
+    files.forEach(file => {
+        const filename = path.join(__dirname, '..', 'js', file);
+        const source = fs.readFileSync(filename, 'utf8');
+        vm.runInContext(source, context, { filename });
+
+        // Classes and top-level constants stay in the script scope; expose them on the context object
+        const names = [...source.matchAll(/^(?:class|const) (\w+)/gm)].map(match => match[1]);
+        vm.runInContext(`Object.assign(this, { ${names.join(', ')} })`, context);
+    });
+    return context;
+}
+
+// Context with the classes of the planning scripts (Geometry, PolygonOffset, TransitRouter,
+// PathSmoother, CoveragePatterns, CoverageGrid, CoveragePlanner) and of any extra js/ scripts
+function loadPlanningContext(extraScripts = [], globals = {}) {
+    return loadBrowserScripts([...PLANNING_SCRIPTS, ...extraScripts], globals);
+}
+
+module.exports = { loadBrowserScripts, loadPlanningContext, PLANNING_SCRIPTS };
@@ -0,0 +1,128 @@
+/**
+ * Headless planning for the command-line tools (bin/)
+ * Loads the page's registered planners (js/registry.js, js/planners.js) with the planning code
+ * into Node, so a plan from the command line matches PLAN in the browser. The page's server
+ * planner queues a job on server.js; here it runs the planner executable directly.
+ *
+ * Errors carry the process `exitCode` (1 planning failed, 2 invalid input) and, where there
+ * are some, `errors` as { code, path, message } (js/schema.js).
+ */
+
+const fs = require('fs');
+const { loadBrowserScripts, loadPlanningContext } = require('./browser-modules');
+const { ProtocolSchema } = require('./protocol');
+const { plannerConfig, runPlannerProcess } = require('./planner-process');
+
+// Mower defaults of the page (PlannerRegistry.MOWER_DEFAULTS), in meters
+const DEFAULT_MOWER = loadBrowserScripts(['registry.js']).PlannerRegistry.MOWER_DEFAULTS;
+
+function toolError(message, exitCode, errors = []) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    error.errors = errors;
+    return error;
+}
+
+// Context with the planning classes and `plannerRegistry` holding the page's planners. Planner
+// scripts log on load; `log` gets that instead of stdout, so it does not mix with tool output.
+function loadPlanners(log = () => {}) {
+    const context = loadPlanningContext(['registry.js', 'planners.js'], {
+        console: { ...console, log, warn: log, info: log },
+        setTimeout
+    });
+
+    const server = context.plannerRegistry.get('server');
+    if (server) {
+        server.plan = async (scenario, params) => {
+            const output = await runPlannerProcess(context.BuiltinPlanners.protocolInput(scenario, params), plannerConfig());
+            if (!output.success) throw toolError(output.error || 'Planning failed', 1, output.errors || []);
+            return {
+                path: output.path.map(point => ({ x: point.x, y: point.y })),
+                sections: output.sections || [],
+                stats: output.stats
+            };
+        };
+    }
+    return context;
+}
+
+// The named planner, or an error listing the registered ones
+function findPlanner(context, name) {
+    const registry = context.plannerRegistry;
+    const planner = registry.get(name);
+    if (!planner) {
+        throw toolError(`No planner "${name}" (planners: ${registry.list().map(candidate => candidate.name).join(', ')})`, 2);
+    }
+    return planner;
+}
+
+// Planner parameters from key=value text, typed by the planner's schema over its defaults
+function plannerParams(context, planner, values = {}) {
+    const params = context.PlannerRegistry.defaults(planner.schema);
+    Object.entries(values).forEach(([key, text]) => {
+        const field = planner.schema[key];
+        if (!field) {
+            const known = Object.keys(planner.schema).join(', ') || 'none';
+            throw toolError(`Planner "${planner.name}" has no parameter "${key}" (parameters: ${known})`, 2);
+        }
+        text = String(text);
+        if (field.type === 'number' || field.type === 'integer') {
+            params[key] = text.trim() === '' ? NaN : Number(text);
+        } else if (field.type === 'boolean') {
+            params[key] = ['true', '1', 'on', 'yes'].includes(text.toLowerCase()) ? true
+                : ['false', '0', 'off', 'no'].includes(text.toLowerCase()) ? false : text;
+        } else {
+            const option = field.options.find(choice => String(choice.value) === text);
+            params[key] = option ? option.value : text;
+        }
+    });
+    const error = context.PlannerRegistry.validate(planner.schema, params);
+    if (error) throw toolError(`Invalid planner parameters: ${error}`, 2);
+    return params;
+}
+
+// Scenario JSON from a file ('-' for standard input); a scenario library file keeps it in `data`
+function readScenario(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (error) {
+        throw toolError(`Cannot read ${file}: ${error.message}`, 2);
+    }
+    let scenario;
+    try {
+        scenario = JSON.parse(text);
+    } catch (error) {
+        throw toolError(`${file} is not valid JSON: ${error.message}`, 2);
+    }
+    return scenario && typeof scenario === 'object' && scenario.data && !scenario.boundary ? scenario.data : scenario;
+}
+
+// Plan a scenario (page export format) with a registered planner: the scenario's mower over the
+// page defaults, then `mower`, checked with the scenario schema. Resolves with the planner's
+// result, the mower used (meters) and the planning time.
+async function planScenario(context, planner, scenario, params, { name = 'scenario', mower = {}, onProgress = () => {} } = {}) {
+    if (scenario && typeof scenario === 'object' && !Array.isArray(scenario) && Object.keys(mower).length > 0) {
+        scenario = { ...scenario, parameters: { ...(scenario.parameters || {}), ...mower } };
+    }
+    const errors = ProtocolSchema.validate('scenario', scenario);
+    if (errors.length > 0) throw toolError(`Invalid scenario ${name}`, 2, errors);
+    const mowerUsed = { ...DEFAULT_MOWER, ...(scenario.parameters || {}) };
+
+    const started = Date.now();
+    const result = await planner.plan({
+        boundary: scenario.boundary,
+        obstacles: scenario.obstacles || [],
+        dynamicObstacles: scenario.dynamicObstacles || [],
+        mower: context.PlannerRegistry.mowerOptions(mowerUsed)
+    }, params, { onProgress });
+    const timeMs = Date.now() - started;
+
+    if (!result || !Array.isArray(result.path)) throw toolError(`Planner "${planner.name}" did not return a { path } object`, 1);
+    if (result.path.length === 0) {
+        throw toolError('No coverage path found inside the boundary (is the robot footprint larger than the area?)', 1);
+    }
+    return { result, scenario, mower: mowerUsed, timeMs };
+}
+
+module.exports = { DEFAULT_MOWER, toolError, loadPlanners, findPlanner, plannerParams, readScenario, planScenario };
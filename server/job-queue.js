@@ -0,0 +1,158 @@
+/**
+ * Planning job queue
+ * Runs plan requests in the background with a concurrency limit, so long planners do not hold
+ * an HTTP request open
+ *
+ * Job states: queued -> running -> succeeded | failed, or cancelled from queued or running.
+ * Every change emits 'update' with the job; finished jobs are kept (newest `keepFinished`) so
+ * clients can still fetch the result. A job answered from the plan cache (server/plan-cache.js)
+ * starts out succeeded.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+class JobQueue extends EventEmitter {
+    // `run(input, signal, job)` resolves with protocol output; aborting `signal` must stop the work
+    constructor({ run, concurrency = 2, keepFinished = 100 }) {
+        super();
+        this.run = run;
+        this.concurrency = concurrency;
+        this.keepFinished = keepFinished;
+        this.jobs = new Map();
+        this.waiting = [];  // queued jobs in start order
+        this.finished = []; // finished job ids, oldest first
+    }
+
+    // `cache` is how the plan cache was used: 'miss', 'bypass' or null (not used); `cacheKey` its key
+    add(input, { cache = null, cacheKey = null } = {}) {
+        const job = this.create(input, cache, cacheKey);
+        this.waiting.push(job);
+        this.emit('update', job);
+        this.pump();
+        return job;
+    }
+
+    // A job already answered with cached output
+    addCached(input, output) {
+        const job = this.create(input, 'hit', null);
+        job.startedAt = job.createdAt;
+        this.finish(job, 'succeeded', output, null);
+        return job;
+    }
+
+    create(input, cache, cacheKey) {
+        const job = {
+            id: crypto.randomUUID(),
+            state: 'queued',
+            input,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null,
+            errorStatus: null, // HTTP status carried by the runner's error, if any
+            errors: [],        // { code, path, message } from the planner output or the runner's error
+            cache,
+            cacheKey,
+            controller: null
+        };
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Cancel a queued or running job (a running planner is killed); null for unknown ids
+    cancel(id) {
+        const job = this.get(id);
+        if (!job || FINISHED.includes(job.state)) return job;
+
+        if (job.state === 'queued') {
+            this.waiting.splice(this.waiting.indexOf(job), 1);
+        } else {
+            job.controller.abort();
+        }
+        this.finish(job, 'cancelled', null, 'Job cancelled');
+        return job;
+    }
+
+    isFinished(job) {
+        return FINISHED.includes(job.state);
+    }
+
+    // 1-based place in the queue, 0 once the job has started
+    position(job) {
+        return job.state === 'queued' ? this.waiting.indexOf(job) + 1 : 0;
+    }
+
+    runningCount() {
+        return [...this.jobs.values()].filter(job => job.state === 'running').length;
+    }
+
+    // Start queued jobs while there is capacity
+    pump() {
+        while (this.waiting.length > 0 && this.runningCount() < this.concurrency) {
+            const job = this.waiting.shift();
+            job.state = 'running';
+            job.startedAt = Date.now();
+            job.controller = new AbortController();
+            this.emit('update', job);
+            this.waiting.forEach(queued => this.emit('update', queued)); // positions moved up
+
+            Promise.resolve()
+                .then(() => this.run(job.input, job.controller.signal, job))
+                .then(output => {
+                    if (output.success) this.finish(job, 'succeeded', output, null);
+                    else {
+                        job.errors = output.errors || [];
+                        this.finish(job, 'failed', output, output.error || 'Planning failed');
+                    }
+                }, error => {
+                    job.errorStatus = error.status || null;
+                    job.errors = error.errors || [];
+                    this.finish(job, 'failed', null, error.message);
+                });
+        }
+    }
+
+    finish(job, state, result, error) {
+        if (this.isFinished(job)) return; // a cancelled job's planner settles later
+        job.state = state;
+        job.result = result;
+        job.error = error;
+        job.finishedAt = Date.now();
+        job.controller = null;
+        this.emit('update', job);
+
+        this.finished.push(job.id);
+        while (this.finished.length > this.keepFinished) {
+            this.jobs.delete(this.finished.shift());
+        }
+        this.pump();
+    }
+
+    // JSON for clients: state, queue position, timing, plan cache use and, once finished, the result or error
+    view(job) {
+        const now = Date.now();
+        return {
+            id: job.id,
+            state: job.state,
+            position: this.position(job),
+            createdAt: new Date(job.createdAt).toISOString(),
+            startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+            finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+            elapsedMs: (job.finishedAt || now) - job.createdAt,
+            result: job.result,
+            error: job.error,
+            errors: job.errors,
+            cache: job.cache
+        };
+    }
+}
+
+module.exports = { JobQueue };
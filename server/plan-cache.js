@@ -0,0 +1,150 @@
+/**
+ * Plan result cache
+ * Keeps successful planner output on disk, one JSON file per request, so planning the same
+ * yard with the same planner and parameters again does not start the planner
+ *
+ * The key is a SHA-256 hash of the normalized request (keys sorted, coordinates rounded,
+ * schema_version, dynamic obstacles and an empty obstacle list dropped) together with the planner: its executable
+ * and modification time, so rebuilding the planner starts a fresh set of entries. When the
+ * files grow past `maxBytes`, the least recently used entries are deleted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Settings from the environment:
+//   PLAN_CACHE_DIR      where entries are kept (default: <dataDir>/plan-cache)
+//   PLAN_CACHE_MAX_MB   size limit in megabytes (default 50; 0 turns the cache off)
+function planCacheConfig(dataDir, env = process.env) {
+    const maxMegabytes = env.PLAN_CACHE_MAX_MB !== undefined && Number(env.PLAN_CACHE_MAX_MB) >= 0
+        ? Number(env.PLAN_CACHE_MAX_MB) : 50;
+    return {
+        dir: env.PLAN_CACHE_DIR || path.join(dataDir, 'plan-cache'),
+        maxBytes: Math.round(maxMegabytes * 1024 * 1024)
+    };
+}
+
+class PlanCache {
+    constructor({ dir, maxBytes }) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get enabled() {
+        return this.maxBytes > 0;
+    }
+
+    // Cache key of a plan request for `planner` ({ executable, modified }, see plannerIdentity)
+    key(input, planner) {
+        const text = JSON.stringify(PlanCache.normalize({ planner, input: PlanCache.normalizeRequest(input) }));
+        return crypto.createHash('sha256').update(text).digest('hex');
+    }
+
+    // Stored output for `key`, or null; a hit marks the entry as recently used
+    get(key) {
+        if (!this.enabled) return null;
+        const file = this.file(key);
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`⚠️ Unreadable plan cache entry ${key}: ${error.message}`);
+            this.misses++;
+            return null;
+        }
+        // Another request may have evicted the entry since it was read
+        try {
+            const now = new Date();
+            fs.utimesSync(file, now, now);
+        } catch (error) {
+            this.misses++;
+            return null;
+        }
+        this.hits++;
+        return entry.output;
+    }
+
+    // Store successful output; failed plans are not cached
+    put(key, output) {
+        if (!this.enabled || !output.success) return;
+        const text = JSON.stringify({ key, createdAt: new Date().toISOString(), output });
+        if (Buffer.byteLength(text) > this.maxBytes) return;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        // Written under a temporary name, so a reader never sees half an entry
+        const temporary = `${this.file(key)}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, text);
+        fs.renameSync(temporary, this.file(key));
+        this.evict();
+    }
+
+    // Delete least recently used entries until the files fit in maxBytes
+    evict() {
+        const entries = this.entries().sort((a, b) => a.usedAt - b.usedAt);
+        let bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+        while (bytes > this.maxBytes && entries.length > 0) {
+            const oldest = entries.shift();
+            fs.rmSync(oldest.file, { force: true });
+            bytes -= oldest.bytes;
+        }
+    }
+
+    clear() {
+        this.entries().forEach(entry => fs.rmSync(entry.file, { force: true }));
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    // JSON for clients: size, limit and hit counts since the server started
+    stats() {
+        const entries = this.entries();
+        return {
+            enabled: this.enabled,
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+
+    entries() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(name => /^[0-9a-f]{64}\.json$/.test(name))
+            .map(name => {
+                const file = path.join(this.dir, name);
+                const stat = fs.statSync(file);
+                return { file, bytes: stat.size, usedAt: stat.mtimeMs };
+            });
+    }
+
+    file(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    // Plan request fields that do not change the plan are left out. Dynamic obstacles are only
+    // discovered while driving, so planners do not plan around them
+    static normalizeRequest(input) {
+        const { schema_version, dynamic_obstacles, ...request } = input;
+        if (Array.isArray(request.static_obstacles) && request.static_obstacles.length === 0) delete request.static_obstacles;
+        return request;
+    }
+
+    // Same JSON for equal values: object keys sorted, numbers rounded to 1e-6
+    static normalize(value) {
+        if (Array.isArray(value)) return value.map(item => PlanCache.normalize(item));
+        if (value !== null && typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => [key, PlanCache.normalize(value[key])]));
+        }
+        if (typeof value === 'number') return Math.round(value * 1e6) / 1e6;
+        return value;
+    }
+}
+
+module.exports = { PlanCache, planCacheConfig };
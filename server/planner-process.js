@@ -0,0 +1,133 @@
+/**
+ * Planner process runner
+ * Writes input.json into a fresh request directory, runs the planner executable there and
+ * reads back output.json (docs/guidelines.md, "Node.js Server")
+ *
+ * The executable runs with the request directory as its working directory and gets the input
+ * and output paths as arguments, so it may use either. Without a configured executable the
+ * bundled stand-in (server/standin-planner.js) runs under the current Node binary.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ProtocolSchema, httpError, planOutputErrors } = require('./protocol');
+const { PLANNING_SCRIPTS } = require('./browser-modules');
+
+const STANDIN = path.join(__dirname, 'standin-planner.js');
+
+// Settings from the environment:
+//   PLANNER_EXECUTABLE   path of the planner (default: bundled stand-in)
+//   PLANNER_TIMEOUT_MS   kill the planner after this long (default 30000)
+//   PLANNER_WORK_DIR     parent of the request directories (default: system temp dir)
+//   PLANNER_KEEP_FILES   '1' keeps input.json/output.json after the run
+//   PLANNER_CONCURRENCY  planner processes running at once (default 2)
+function plannerConfig(env = process.env) {
+    return {
+        executable: env.PLANNER_EXECUTABLE || null,
+        timeout: Number(env.PLANNER_TIMEOUT_MS) > 0 ? Number(env.PLANNER_TIMEOUT_MS) : 30000,
+        concurrency: Number.isInteger(Number(env.PLANNER_CONCURRENCY)) && Number(env.PLANNER_CONCURRENCY) > 0
+            ? Number(env.PLANNER_CONCURRENCY) : 2,
+        workDir: env.PLANNER_WORK_DIR || path.join(os.tmpdir(), 'bladeofgrass-plans'),
+        keepFiles: env.PLANNER_KEEP_FILES === '1'
+    };
+}
+
+// Which planner runs: the executable and when it (for the stand-in, also the js/ planning code it
+// loads) last changed, so results of an older build can be told apart (server/plan-cache.js)
+function plannerIdentity(config = plannerConfig()) {
+    const executable = config.executable ? path.resolve(config.executable) : STANDIN;
+    const sources = config.executable ? [executable]
+        : [STANDIN, ...PLANNING_SCRIPTS.map(file => path.join(__dirname, '..', 'js', file))];
+    let modified = null;
+    try {
+        modified = Math.max(...sources.map(file => fs.statSync(file).mtimeMs));
+    } catch (error) {
+        // Missing executable: running it fails and nothing gets cached
+    }
+    return { executable, modified };
+}
+
+// Run one plan request; resolves with the parsed output JSON. Aborting `signal` kills the planner.
+function runPlannerProcess(input, config = plannerConfig(), signal = null) {
+    fs.mkdirSync(config.workDir, { recursive: true });
+    const requestDir = fs.mkdtempSync(path.join(config.workDir, 'plan-'));
+    const inputFile = path.join(requestDir, 'input.json');
+    const outputFile = path.join(requestDir, 'output.json');
+    fs.writeFileSync(inputFile, JSON.stringify(input, null, 2));
+
+    const command = config.executable ? path.resolve(config.executable) : process.execPath;
+    const args = config.executable ? [inputFile, outputFile] : [STANDIN, inputFile, outputFile];
+
+    return new Promise((resolve, reject) => {
+        // Own process group on POSIX, so a timeout also stops anything the planner started
+        const detached = process.platform !== 'win32';
+        const child = spawn(command, args, { cwd: requestDir, stdio: ['ignore', 'pipe', 'pipe'], detached });
+        let stderr = '';
+        let timedOut = false;
+        child.stdout.on('data', chunk => process.stdout.write(`[planner] ${chunk}`));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        const kill = () => {
+            try {
+                if (detached) process.kill(-child.pid, 'SIGKILL');
+                else child.kill('SIGKILL');
+            } catch (error) {
+                child.kill('SIGKILL');
+            }
+        };
+        const timer = setTimeout(() => {
+            timedOut = true;
+            kill();
+        }, config.timeout);
+        const onAbort = () => kill();
+        if (signal) {
+            if (signal.aborted) kill();
+            else signal.addEventListener('abort', onAbort);
+        }
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(httpError(`Cannot start planner ${command}: ${error.message}`, 500));
+        });
+
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (signal && signal.aborted) {
+                reject(httpError('Planner cancelled', 499));
+                return;
+            }
+            if (timedOut) {
+                reject(httpError(`Planner timed out after ${config.timeout / 1000}s`, 504));
+                return;
+            }
+            if (code !== 0) {
+                reject(httpError(`Planner exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`, 502));
+                return;
+            }
+
+            let output;
+            try {
+                output = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+            } catch (error) {
+                reject(httpError(`Cannot read planner output: ${error.message}`, 502));
+                return;
+            }
+            const outputErrors = planOutputErrors(output);
+            if (outputErrors.length > 0) {
+                const error = httpError(`Planner output does not follow the protocol: ${ProtocolSchema.describe(outputErrors)}`, 502);
+                error.errors = outputErrors;
+                reject(error);
+                return;
+            }
+            resolve(output);
+        });
+    }).finally(() => {
+        if (!config.keepFiles) fs.rmSync(requestDir, { recursive: true, force: true });
+    });
+}
+
+module.exports = { plannerConfig, plannerIdentity, runPlannerProcess };
@@ -0,0 +1,63 @@
+/**
+ * File-based planner protocol (docs/guidelines.md, "File Communication Protocol")
+ * Checks request JSON before it is handed to a planner executable, checks what the planner
+ * writes back and shapes failure output
+ *
+ * The contract is the versioned JSON Schemas of js/schema.js ('plan-request', 'plan-result'),
+ * the same ones the page checks against. Problems come back as { code, path, message } so
+ * clients can point at the field; see ProtocolSchema.CODES.
+ */
+
+const { loadBrowserScripts } = require('./browser-modules');
+
+const { ProtocolSchema } = loadBrowserScripts(['schema.js']);
+
+// Every problem in a plan request ([] when it follows the protocol)
+function planInputErrors(input) {
+    return ProtocolSchema.validate('plan-request', input);
+}
+
+// Every problem in planner output ([] when it follows the protocol)
+function planOutputErrors(output) {
+    return ProtocolSchema.validate('plan-result', output);
+}
+
+// Every problem in a scenario in the page's export format, with paths below `basePath`
+function scenarioErrors(data, basePath) {
+    return ProtocolSchema.validate('scenario', data, basePath);
+}
+
+// Error carrying the HTTP status the server should answer with
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// httpError that also carries the { code, path, message } list the server answers with
+function validationError(errors, status = 400) {
+    const error = httpError(ProtocolSchema.describe(errors), status);
+    error.errors = errors;
+    return error;
+}
+
+// Output JSON for a failed plan
+function failedPlan(message, errors = []) {
+    return { schema_version: 1, success: false, path: [], stats: null, error: message, errors };
+}
+
+// Output JSON for a request that does not follow the protocol
+function invalidPlan(errors) {
+    return failedPlan(`Invalid plan request: ${ProtocolSchema.describe(errors)}`, errors);
+}
+
+module.exports = {
+    ProtocolSchema,
+    planInputErrors,
+    planOutputErrors,
+    scenarioErrors,
+    httpError,
+    validationError,
+    failedPlan,
+    invalidPlan
+};
@@ -0,0 +1,153 @@
+/**
+ * Scenario library
+ * Named yards stored as one JSON file each in `<dataDir>/scenarios`, so a team can share
+ * reference yards by sharing the directory
+ *
+ * A scenario file is { id, name, description, tags, thumbnail, createdAt, updatedAt, data }
+ * where data is the page's export format (boundary, obstacles, dynamicObstacles, parameters,
+ * sensor) and thumbnail an SVG data: URL drawn from it. The id is derived from the name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { httpError, scenarioErrors, validationError } = require('./protocol');
+const { scenarioSvg, svgDataUrl } = require('./svg');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,79}$/;
+
+class ScenarioStore {
+    constructor(dataDir) {
+        this.dir = path.join(dataDir, 'scenarios');
+    }
+
+    // Summaries (no geometry), newest first; only those carrying `tag` when given
+    list(tag = null) {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.read(path.basename(file, '.json')))
+            .filter(scenario => scenario && (!tag || scenario.tags.includes(tag)))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(({ data, ...summary }) => ({
+                ...summary,
+                obstacleCount: (data.obstacles || []).length,
+                dynamicObstacleCount: (data.dynamicObstacles || []).length
+            }));
+    }
+
+    get(id) {
+        const scenario = this.read(id);
+        if (!scenario) throw httpError(`No scenario ${id}`, 404);
+        return scenario;
+    }
+
+    create(body) {
+        const fields = ScenarioStore.fields(body);
+        const base = ScenarioStore.slug(fields.name);
+        let id = base;
+        for (let n = 2; fs.existsSync(this.file(id)); n++) {
+            id = `${base}-${n}`;
+        }
+        const now = new Date().toISOString();
+        return this.write({ id, ...fields, createdAt: now, updatedAt: now });
+    }
+
+    // Replace name, description, tags and data; the id stays
+    update(id, body) {
+        const existing = this.get(id);
+        const fields = ScenarioStore.fields(body);
+        return this.write({ id, ...fields, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+    }
+
+    remove(id) {
+        this.get(id);
+        fs.unlinkSync(this.file(id));
+    }
+
+    file(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    // Stored scenario, or null when the file is missing or is not a scenario record for `id`
+    read(id) {
+        if (!ID_PATTERN.test(id)) return null;
+        let scenario;
+        try {
+            scenario = JSON.parse(fs.readFileSync(this.file(id), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+        return ScenarioStore.isRecord(scenario, id) ? scenario : null;
+    }
+
+    // Write through a temporary file so readers never see half a scenario
+    write(scenario) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const record = {
+            id: scenario.id,
+            name: scenario.name,
+            description: scenario.description,
+            tags: scenario.tags,
+            thumbnail: svgDataUrl(scenarioSvg(scenario.data)),
+            createdAt: scenario.createdAt,
+            updatedAt: scenario.updatedAt,
+            data: scenario.data
+        };
+        const temporary = `${this.file(scenario.id)}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(record, null, 2));
+        fs.renameSync(temporary, this.file(scenario.id));
+        return record;
+    }
+
+    // Files in the directory may have been edited or copied in by hand; the page builds its list
+    // from these fields, so the id must match the file name and the rest have the written types
+    static isRecord(scenario, id) {
+        return scenario !== null && typeof scenario === 'object' &&
+            scenario.id === id &&
+            typeof scenario.name === 'string' &&
+            (scenario.description === undefined || typeof scenario.description === 'string') &&
+            Array.isArray(scenario.tags) && scenario.tags.every(tag => typeof tag === 'string') &&
+            typeof scenario.thumbnail === 'string' &&
+            typeof scenario.updatedAt === 'string' &&
+            scenario.data !== null && typeof scenario.data === 'object';
+    }
+
+    // Checked and normalized client fields: { name, description, tags, data }
+    static fields(body) {
+        if (body === null || typeof body !== 'object') throw httpError('request body must be a JSON object', 400);
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (name === '' || name.length > 100) throw httpError('name must be 1-100 characters', 400);
+        if (!ScenarioStore.slug(name)) throw httpError('name needs at least one letter or digit', 400);
+        if (body.description !== undefined && typeof body.description !== 'string') {
+            throw httpError('description must be a string', 400);
+        }
+        const tags = body.tags === undefined ? [] : body.tags;
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+            throw httpError('tags must be an array of non-empty strings', 400);
+        }
+
+        const data = body.data;
+        const errors = scenarioErrors(data, 'data');
+        if (errors.length > 0) throw validationError(errors);
+
+        return {
+            name,
+            description: body.description || '',
+            tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()))],
+            data: {
+                boundary: data.boundary,
+                obstacles: data.obstacles || [],
+                dynamicObstacles: data.dynamicObstacles || [],
+                parameters: data.parameters || null,
+                sensor: data.sensor || null
+            }
+        };
+    }
+
+    // File-safe id from a name: 'Back Yard #2' -> 'back-yard-2'
+    static slug(name) {
+        return name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    }
+}
+
+module.exports = { ScenarioStore };
@@ -0,0 +1,146 @@
+/**
+ * Headless run simulation
+ * Runs the page's RunSimulator (js/simulator.js) to the end for a scenario and a plan and returns
+ * the run as a timeline, so runs can be evaluated in batches and replayed in the page
+ *
+ * Request: { scenario, plan, options? }
+ *   scenario  the page's export format: boundary, obstacles and dynamicObstacles ([{ id, points }]),
+ *             optional parameters (mower, meters) and sensor ({ range } meters, { fov } degrees)
+ *   plan      { path, robotPaths? }: one robot drives `path`, or one robot per entry of robotPaths
+ *   options   speed (m/s, default 0.5), seed (RRT* random numbers, default 1),
+ *             maxTime (simulated seconds before giving up, default 7200)
+ * Response: { success, outcome, time, coverage, distance, replanCount, detourLength, collisions,
+ *             discoveries, events, frames } with times in simulated seconds, positions in canvas
+ *             pixels (50px = 1m) and coverage as a fraction of the mowable area
+ */
+
+const { loadPlanningContext } = require('./browser-modules');
+const { scenarioErrors, validationError } = require('./protocol');
+
+const context = loadPlanningContext(['rrt.js', 'sensor.js', 'simulator.js', 'registry.js']);
+
+// Mower (PlannerRegistry.MOWER_DEFAULTS) and sensor defaults of the page, in meters and degrees
+const DEFAULT_MOWER = context.PlannerRegistry.MOWER_DEFAULTS;
+const DEFAULT_SENSOR = { range: 2.0, fov: 120 };
+const MAX_TICKS = 200000; // a robot stuck re-planning without moving never advances the clock
+const MAX_STEPS = 1000000; // path points after splitting the plan into simulation steps, all robots
+
+// Every problem in a simulate request as { code, path, message } ([] when it is valid)
+function validateSimulateInput(body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ code: 'INVALID_TYPE', path: '', message: 'request body must be a JSON object' }];
+    }
+    const { scenario, plan, options = {} } = body;
+    const errors = scenarioErrors(scenario, 'scenario');
+    const add = (code, path, message) => errors.push({ code, path, message });
+
+    if (plan === null || typeof plan !== 'object') {
+        add('INVALID_TYPE', 'plan', 'plan must be an object');
+    } else {
+        const paths = plan.robotPaths && plan.robotPaths.length > 0 ? plan.robotPaths : [plan.path];
+        paths.forEach((path, i) => {
+            const name = plan.robotPaths && plan.robotPaths.length > 0 ? `plan.robotPaths[${i}]` : 'plan.path';
+            if (!Array.isArray(path) || path.length < 2) {
+                add(path === undefined ? 'MISSING_FIELD' : 'TOO_FEW_ITEMS', name, `${name} needs at least 2 points`);
+                return;
+            }
+            const bad = path.findIndex(point => point === null || typeof point !== 'object' ||
+                !Number.isFinite(point.x) || !Number.isFinite(point.y));
+            if (bad >= 0) add('INVALID_TYPE', `${name}[${bad}]`, `${name}[${bad}] must be a point with numeric x and y`);
+        });
+
+        // Robots drive the plan in short steps; refuse plans that would take millions of them
+        if (errors.length === 0) {
+            const range = scenario.sensor && scenario.sensor.range !== undefined ? scenario.sensor.range : DEFAULT_SENSOR.range;
+            const step = context.RunSimulator.defaultStep(range * 50);
+            const steps = paths.reduce((sum, path) => sum + path.length + context.Geometry.pathLength(path) / step, 0);
+            if (steps > MAX_STEPS) {
+                add('OUT_OF_RANGE', 'plan', `plan needs ${Math.round(steps)} simulation steps at this sensor range, at most ${MAX_STEPS}`);
+            }
+        }
+    }
+
+    if (options === null || typeof options !== 'object') {
+        add('INVALID_TYPE', 'options', 'options must be an object');
+    } else {
+        if (options.speed !== undefined && !(options.speed > 0)) add('OUT_OF_RANGE', 'options.speed', 'options.speed must be greater than 0');
+        if (options.seed !== undefined && !Number.isInteger(options.seed)) add('INVALID_TYPE', 'options.seed', 'options.seed must be a whole number');
+        if (options.maxTime !== undefined && !(options.maxTime > 0)) add('OUT_OF_RANGE', 'options.maxTime', 'options.maxTime must be greater than 0');
+    }
+    return errors;
+}
+
+// Pose of each robot at the current tick
+function frame(simulation) {
+    const coverage = simulation.coverage();
+    return {
+        time: round(simulation.time),
+        coverage: coverage === null ? null : round(coverage, 4),
+        robots: simulation.robots.map(robot => ({
+            name: robot.name,
+            x: robot.position ? round(robot.position.x) : null,
+            y: robot.position ? round(robot.position.y) : null,
+            heading: robot.position ? round(robot.position.heading, 3) : null,
+            state: robot.state,
+            progress: round(robot.progress)
+        }))
+    };
+}
+
+function round(value, digits = 2) {
+    const scale = 10 ** digits;
+    return Math.round(value * scale) / scale;
+}
+
+// Run the simulation to the end; throws an error with status 400 and `errors` for invalid requests
+function simulateRun(body) {
+    const errors = validateSimulateInput(body);
+    if (errors.length > 0) throw validationError(errors);
+
+    const { scenario, plan, options = {} } = body;
+    const mower = { ...DEFAULT_MOWER, ...(scenario.parameters || {}) };
+    const sensor = { ...DEFAULT_SENSOR, ...(scenario.sensor || {}) };
+    const paths = plan.robotPaths && plan.robotPaths.length > 0 ? plan.robotPaths : [plan.path];
+    const maxTime = options.maxTime || 7200;
+
+    const events = [];
+    const simulation = new context.RunSimulator({
+        boundary: scenario.boundary,
+        obstacles: (scenario.obstacles || []).map(obstacle => obstacle.points),
+        dynamicObstacles: (scenario.dynamicObstacles || []).map((obstacle, index) => ({
+            id: obstacle.id || `dynamic_${index + 1}`,
+            points: obstacle.points
+        })),
+        plans: paths.map(path => ({ path })),
+        sensor: new context.SensorModel({ range: sensor.range * 50, fov: sensor.fov }),
+        clearance: (mower.robotRadius + mower.safetyMargin) * 50,
+        robotRadius: mower.robotRadius * 50,
+        cuttingWidth: mower.cuttingWidth * 50,
+        speed: (options.speed || 0.5) * 50,
+        random: context.CoveragePatterns.seededRandom(options.seed !== undefined ? options.seed : 1),
+        onEvent: (type, details) => events.push({ ...details, time: round(simulation.time), type })
+    });
+
+    const frames = [frame(simulation)];
+    while (!simulation.finished && simulation.time < maxTime && frames.length <= MAX_TICKS) {
+        simulation.tick();
+        frames.push(frame(simulation));
+    }
+
+    const outcome = simulation.complete ? 'complete' : simulation.finished ? 'blocked' : 'timeout';
+    return {
+        success: outcome === 'complete',
+        outcome,
+        time: round(simulation.time),
+        coverage: frames[frames.length - 1].coverage,
+        distance: round(simulation.distance),
+        replanCount: simulation.replanCount,
+        detourLength: round(simulation.detourLength),
+        collisions: simulation.collisionCount,
+        discoveries: simulation.discoveryLog.map(discovery => ({ ...discovery, time: round(discovery.time) })),
+        events,
+        frames
+    };
+}
+
+module.exports = { simulateRun, validateSimulateInput };
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Stand-in planner executable for BladeOfGrass Path Planning Prototype
+ * Speaks the file-based protocol of the C planner using the browser planner (js/planner.js)
+ *
+ * Usage: standin-planner.js [input.json] [output.json]   (defaults: files in the working directory)
+ * Exits 0 after writing output.json, also for a failed plan ("success": false); exits 1 when
+ * the input cannot be read.
+ */
+
+const fs = require('fs');
+const { loadPlanningContext } = require('./browser-modules');
+const { planInputErrors, failedPlan, invalidPlan } = require('./protocol');
+
+// CoveragePlanner options from protocol parameters (pixels)
+function plannerOptions(params) {
+    return {
+        pattern: params.pattern || 'boustrophedon',
+        stripeSpacing: params.cutting_width - params.overlap,
+        cuttingWidth: params.cutting_width,
+        clearance: params.robot_radius + (params.safety_margin || 0),
+        margin: 0,
+        headlandLaps: params.headland_laps !== undefined ? params.headland_laps : 1,
+        turnRadius: params.turn_radius || 0
+    };
+}
+
+// Protocol output for a request: path with headings in degrees (0-360) and summary stats
+function plan(input, context = loadPlanningContext()) {
+    const errors = planInputErrors(input);
+    if (errors.length > 0) return invalidPlan(errors);
+
+    const started = Date.now();
+    const planner = new context.CoveragePlanner(plannerOptions(input.parameters));
+    const result = planner.plan({
+        boundary: input.boundary,
+        obstacles: (input.static_obstacles || []).map(points => ({ points }))
+    });
+    if (result.path.length === 0) {
+        const message = 'No coverage path found inside the boundary (is the robot footprint larger than the area?)';
+        return failedPlan(message, [{ code: 'NO_SOLUTION', path: 'boundary', message }]);
+    }
+
+    const path = result.path.map((point, i) => {
+        const next = result.path[Math.min(i + 1, result.path.length - 1)];
+        const from = i + 1 < result.path.length ? point : result.path[Math.max(0, i - 1)];
+        const heading = (Math.atan2(next.y - from.y, next.x - from.x) * 180 / Math.PI + 360) % 360;
+        return { x: point.x, y: point.y, heading: Math.round(heading * 10) / 10 };
+    });
+    const freeArea = context.Geometry.polygonArea(input.boundary) -
+        (input.static_obstacles || []).reduce((sum, points) => sum + context.Geometry.polygonArea(points), 0);
+
+    return {
+        schema_version: 1,
+        success: true,
+        path,
+        sections: result.sections,
+        stats: {
+            total_distance: Math.round(context.Geometry.pathLength(result.path) * 10) / 10,
+            coverage_area: Math.round(Math.max(0, freeArea) * result.stats.coverage),
+            waypoint_count: path.length,
+            computation_time_ms: Date.now() - started
+        },
+        error: null
+    };
+}
+
+if (require.main === module) {
+    const inputFile = process.argv[2] || 'input.json';
+    const outputFile = process.argv[3] || 'output.json';
+    let input;
+    try {
+        input = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+    } catch (error) {
+        console.error(`ERROR: cannot read ${inputFile}: ${error.message}`);
+        process.exit(1);
+    }
+    fs.writeFileSync(outputFile, JSON.stringify(plan(input), null, 2));
+}
+
+module.exports = { plan, plannerOptions };
@@ -0,0 +1,68 @@
+/**
+ * SVG drawings of scenarios and plans
+ * Same colors as the canvas: green boundary, red static and orange dynamic obstacles, blue path
+ * and one color per robot when the area is split
+ */
+
+const COLORS = {
+    boundary: '#27ae60',
+    boundaryFill: '#eafaf1',
+    obstacle: '#e74c3c',
+    dynamicObstacle: '#f39c12',
+    path: '#3498db',
+    robots: ['#3498db', '#d35400', '#8e44ad', '#16a085']
+};
+
+function pointList(points) {
+    return points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+}
+
+// SVG document for { boundary, obstacles, dynamicObstacles } (obstacles as { points } or point
+// arrays) and an optional path, or one path per robot, scaled to fit `width` x `height` pixels
+function scenarioSvg(scenario, { width = 160, height = 120, path = [], robotPaths = [], padding = 6 } = {}) {
+    const polygon = obstacle => (Array.isArray(obstacle) ? obstacle : obstacle.points) || [];
+    const boundary = scenario.boundary || [];
+    const obstacles = (scenario.obstacles || []).map(polygon);
+    const dynamicObstacles = (scenario.dynamicObstacles || []).map(polygon);
+    const paths = robotPaths.length > 0 ? robotPaths : [path];
+    const all = [...boundary, ...obstacles.flat(), ...dynamicObstacles.flat(), ...paths.flat()];
+    if (all.length === 0) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"></svg>`;
+    }
+
+    const minX = Math.min(...all.map(point => point.x));
+    const minY = Math.min(...all.map(point => point.y));
+    const maxX = Math.max(...all.map(point => point.x));
+    const maxY = Math.max(...all.map(point => point.y));
+    const scale = Math.min((width - 2 * padding) / Math.max(maxX - minX, 1), (height - 2 * padding) / Math.max(maxY - minY, 1));
+    const viewWidth = width / scale;
+    const viewHeight = height / scale;
+    const viewX = (minX + maxX) / 2 - viewWidth / 2;
+    const viewY = (minY + maxY) / 2 - viewHeight / 2;
+    const stroke = 1.5 / scale; // constant on-screen line width
+
+    const shapes = [];
+    if (boundary.length >= 3) {
+        shapes.push(`<polygon points="${pointList(boundary)}" fill="${COLORS.boundaryFill}" stroke="${COLORS.boundary}" stroke-width="${stroke.toFixed(2)}"/>`);
+    }
+    obstacles.filter(points => points.length >= 3).forEach(points => {
+        shapes.push(`<polygon points="${pointList(points)}" fill="${COLORS.obstacle}" fill-opacity="0.4" stroke="${COLORS.obstacle}" stroke-width="${stroke.toFixed(2)}"/>`);
+    });
+    dynamicObstacles.filter(points => points.length >= 3).forEach(points => {
+        shapes.push(`<polygon points="${pointList(points)}" fill="${COLORS.dynamicObstacle}" fill-opacity="0.4" stroke="${COLORS.dynamicObstacle}" stroke-width="${stroke.toFixed(2)}" stroke-dasharray="${(4 / scale).toFixed(2)}"/>`);
+    });
+    paths.filter(points => points.length >= 2).forEach((points, index) => {
+        const color = robotPaths.length > 0 ? COLORS.robots[index % COLORS.robots.length] : COLORS.path;
+        shapes.push(`<polyline points="${pointList(points)}" fill="none" stroke="${color}" stroke-width="${stroke.toFixed(2)}" stroke-linejoin="round"/>`);
+    });
+
+    const viewBox = [viewX, viewY, viewWidth, viewHeight].map(value => value.toFixed(1)).join(' ');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${viewBox}">${shapes.join('')}</svg>`;
+}
+
+// The drawing as a data: URL, usable as an <img> source
+function svgDataUrl(svg) {
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+module.exports = { scenarioSvg, svgDataUrl };
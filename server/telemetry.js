@@ -0,0 +1,152 @@
+/**
+ * Live telemetry channels
+ * A page running the simulation (or a real mower later) publishes robot status and events to a
+ * named channel; other clients subscribe to watch the run, and external tools publish commands
+ * the running page carries out
+ *
+ * Messages are { type, ... } and get a per-channel `seq` and a `time` (ms) when published:
+ *   status    { state, position, progress, speed, robots, replanCount, discovered, collisions }
+ *             the fields of the page's Robot Status panel; position is { x, y, heading } in
+ *             canvas pixels (50px = 1m), progress in percent, speed in m/s
+ *   event     { event, ... } e.g. run-started, obstacle-detected, replan, collision, blocked,
+ *             run-complete
+ *   scenario  { data } the yard and robot paths of the run (page export format)
+ *   command   { command, ... } plan, run, pause, resume, stop, speed { value }, open-scenario { id }
+ *
+ * Each channel keeps its last status and scenario and its newest events, so late subscribers can
+ * catch up. Every published message is emitted as 'message' (channel name, message).
+ *
+ * A channel is made by the first message published to it; subscribing waits for one without
+ * making it, so only publishers count toward `maxChannels`. A channel with no subscribers and
+ * no message for `idleTimeout` milliseconds is forgotten.
+ */
+
+const { EventEmitter } = require('events');
+const { httpError } = require('./protocol');
+
+const CHANNEL_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const TYPES = ['status', 'event', 'scenario', 'command'];
+const COMMANDS = ['plan', 'run', 'pause', 'resume', 'stop', 'speed', 'open-scenario'];
+
+class TelemetryHub extends EventEmitter {
+    constructor({ keepEvents = 50, maxChannels = 20, idleTimeout = 10 * 60 * 1000 } = {}) {
+        super();
+        this.keepEvents = keepEvents;
+        this.maxChannels = maxChannels;
+        this.idleTimeout = idleTimeout;
+        this.channels = new Map();
+        this.subscribers = new Map(); // channel name -> open subscriptions
+        this.setMaxListeners(0); // one listener per subscriber
+    }
+
+    channel(name, create = false) {
+        if (!CHANNEL_PATTERN.test(name)) throw httpError('channel must be 1-40 lowercase letters, digits or dashes', 400);
+        let channel = this.channels.get(name);
+        if (!channel && create) {
+            this.expire();
+            if (this.channels.size >= this.maxChannels) throw httpError(`At most ${this.maxChannels} telemetry channels`, 429);
+            channel = { name, seq: 0, status: null, scenario: null, events: [], updatedAt: Date.now(), watchedAt: 0 };
+            this.channels.set(name, channel);
+        }
+        return channel || null;
+    }
+
+    // Forget channels nobody has published to or watched for idleTimeout
+    expire(now = Date.now()) {
+        this.channels.forEach((channel, name) => {
+            const idleSince = Math.max(channel.updatedAt, channel.watchedAt);
+            if (!this.subscribers.has(name) && now - idleSince > this.idleTimeout) this.channels.delete(name);
+        });
+    }
+
+    // Stamp, remember and broadcast one message; returns the stamped message
+    publish(name, message) {
+        const error = TelemetryHub.messageError(message);
+        if (error) throw httpError(error, 400);
+
+        const channel = this.channel(name, true);
+        const stamped = { ...message, seq: ++channel.seq, time: Date.now() };
+        channel.updatedAt = stamped.time;
+        if (stamped.type === 'status') {
+            channel.status = stamped;
+        } else if (stamped.type === 'scenario') {
+            channel.scenario = stamped;
+        } else if (stamped.type === 'event') {
+            channel.events.push(stamped);
+            if (channel.events.length > this.keepEvents) channel.events.shift();
+        }
+        this.emit('message', name, stamped);
+        return stamped;
+    }
+
+    // Publish a batch: nothing is published when any message is invalid
+    publishAll(name, messages) {
+        messages.forEach((message, index) => {
+            const error = TelemetryHub.messageError(message);
+            if (error) throw httpError(messages.length > 1 ? `message ${index}: ${error}` : error, 400);
+        });
+        return messages.map(message => this.publish(name, message));
+    }
+
+    // What a late subscriber needs: last scenario and status, recent events (commands are not kept)
+    snapshot(name) {
+        const channel = this.channel(name);
+        if (!channel) return { channel: name, seq: 0, scenario: null, status: null, events: [] };
+        return { channel: name, seq: channel.seq, scenario: channel.scenario, status: channel.status, events: channel.events };
+    }
+
+    list() {
+        this.expire();
+        return [...this.channels.values()].map(channel => ({
+            channel: channel.name,
+            seq: channel.seq,
+            state: channel.status ? channel.status.state : null,
+            progress: channel.status ? channel.status.progress : null,
+            updatedAt: new Date(channel.updatedAt).toISOString(),
+            subscribers: this.subscribers.get(channel.name) || 0
+        }));
+    }
+
+    // Calls `listener(message)` for every message on the channel until the returned function is called
+    subscribe(name, listener) {
+        this.channel(name); // checks the name
+        const onMessage = (published, message) => {
+            if (published === name) listener(message);
+        };
+        this.subscribers.set(name, (this.subscribers.get(name) || 0) + 1);
+        this.on('message', onMessage);
+        return () => {
+            const remaining = this.subscribers.get(name) - 1;
+            if (remaining > 0) {
+                this.subscribers.set(name, remaining);
+            } else {
+                this.subscribers.delete(name);
+                const channel = this.channels.get(name);
+                if (channel) channel.watchedAt = Date.now();
+            }
+            this.off('message', onMessage);
+        };
+    }
+
+    // Error message for the first problem in a message, or null
+    static messageError(message) {
+        if (message === null || typeof message !== 'object' || Array.isArray(message)) return 'message must be a JSON object';
+        if (!TYPES.includes(message.type)) return `type must be ${TYPES.slice(0, -1).join(', ')} or ${TYPES[TYPES.length - 1]}`;
+        if (message.type === 'status') {
+            if (message.state !== undefined && typeof message.state !== 'string') return 'status state must be a string';
+            if (message.progress !== undefined && message.progress !== null && !Number.isFinite(message.progress)) {
+                return 'status progress must be a number';
+            }
+            if (message.robots !== undefined && !Array.isArray(message.robots)) return 'status robots must be an array';
+        } else if (message.type === 'event') {
+            if (typeof message.event !== 'string' || message.event === '') return 'event needs an "event" name';
+        } else if (message.type === 'scenario') {
+            if (message.data === null || typeof message.data !== 'object') return 'scenario needs a "data" object';
+        } else if (!COMMANDS.includes(message.command)) {
+            return `command must be one of ${COMMANDS.join(', ')}`;
+        }
+        return null;
+    }
+}
+
+module.exports = { TelemetryHub };
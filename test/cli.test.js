@@ -0,0 +1,67 @@
+/**
+ * Command-line tools (bin/): exit codes and where their output goes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const RECTANGLE = path.join(ROOT, 'benchmarks', 'scenarios', 'rectangle.json');
+
+const run = (script, args, input) => spawnSync(process.execPath, [path.join(ROOT, 'bin', script), ...args], {
+    cwd: ROOT,
+    input,
+    encoding: 'utf8',
+    timeout: 60000
+});
+
+test('bladeofgrass-plan exits 0 with the plan on standard output', () => {
+    const result = run('bladeofgrass-plan.js', [RECTANGLE]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    const plan = JSON.parse(result.stdout);
+    assert.strictEqual(plan.success, true);
+    assert.ok(plan.path.length > 2);
+});
+
+test('bladeofgrass-plan writes CSV to --output', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bladeofgrass-plan-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const output = path.join(dir, 'plan.csv');
+
+    const result = run('bladeofgrass-plan.js', [RECTANGLE, '--output', output]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, '');
+    assert.match(fs.readFileSync(output, 'utf8'), /^robot,index,x,y,section\n1,0,/);
+});
+
+test('bladeofgrass-plan exits 1 when no path fits', () => {
+    const tiny = JSON.stringify({ boundary: [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 20 }, { x: 0, y: 20 }] });
+    const result = run('bladeofgrass-plan.js', ['-'], tiny);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /^ERROR: No coverage path found/);
+});
+
+test('bladeofgrass-plan exits 2 for invalid arguments, scenarios and output files', () => {
+    const cases = [
+        [['--format', 'pdf', RECTANGLE]],
+        [[RECTANGLE, '--mower', 'wheels=4']],
+        [['-'], JSON.stringify({ boundary: [{ x: 0, y: 0 }] })],
+        [['-'], '{ not json'],
+        [[RECTANGLE, '--output', path.join(ROOT, 'missing-directory', 'plan.json')]]
+    ];
+    cases.forEach(([args, input]) => {
+        const result = run('bladeofgrass-plan.js', args, input);
+        assert.strictEqual(result.status, 2, `${args.join(' ')}: ${result.stderr}`);
+        assert.match(result.stderr, /^ERROR: /);
+    });
+});
+
+test('bladeofgrass-bench exits 2 for invalid arguments', () => {
+    const result = run('bladeofgrass-bench.js', ['--planner', 'nonexistent']);
+    assert.strictEqual(result.status, 2, result.stderr);
+    assert.match(result.stderr, /^ERROR: /);
+});
@@ -0,0 +1,88 @@
+/**
+ * Plan result cache (server/plan-cache.js): request normalization, keys and the files on disk
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PlanCache, planCacheConfig } = require('../server/plan-cache');
+
+const SQUARE = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+const PLANNER = { executable: 'planner', modified: 1 };
+const REQUEST = { command: 'plan', boundary: SQUARE, parameters: { cutting_width: 45, overlap: 5, robot_radius: 25 } };
+
+const temporaryCache = (maxBytes = 1024 * 1024) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-cache-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new PlanCache({ dir, maxBytes });
+};
+
+test('normalize sorts keys, rounds numbers and drops undefined values', () => {
+    assert.deepStrictEqual(
+        JSON.stringify(PlanCache.normalize({ b: [1.00000001, { d: 2, c: undefined }], a: 'x' })),
+        JSON.stringify({ a: 'x', b: [1, { d: 2 }] })
+    );
+});
+
+test('fields that do not change the plan leave the key alone', () => {
+    const cache = new PlanCache({ dir: os.tmpdir(), maxBytes: 0 });
+    const key = cache.key(REQUEST, PLANNER);
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.strictEqual(cache.key({ schema_version: 1, ...REQUEST, static_obstacles: [] }, PLANNER), key);
+    assert.strictEqual(cache.key({ ...REQUEST, dynamic_obstacles: [SQUARE] }, PLANNER), key);
+    assert.strictEqual(cache.key({ parameters: REQUEST.parameters, boundary: SQUARE, command: 'plan' }, PLANNER), key);
+});
+
+test('the yard, the parameters and the planner change the key', () => {
+    const cache = new PlanCache({ dir: os.tmpdir(), maxBytes: 0 });
+    const key = cache.key(REQUEST, PLANNER);
+    assert.notStrictEqual(cache.key({ ...REQUEST, static_obstacles: [SQUARE] }, PLANNER), key);
+    assert.notStrictEqual(cache.key({ ...REQUEST, parameters: { ...REQUEST.parameters, overlap: 6 } }, PLANNER), key);
+    assert.notStrictEqual(cache.key(REQUEST, { ...PLANNER, modified: 2 }), key);
+});
+
+test('stored output is returned and counted as a hit; failed plans are not stored', () => {
+    const cache = temporaryCache();
+    const key = cache.key(REQUEST, PLANNER);
+    assert.strictEqual(cache.get(key), null);
+
+    cache.put(key, { success: false, error: 'no path' });
+    assert.strictEqual(cache.get(key), null);
+
+    cache.put(key, { success: true, path: SQUARE });
+    assert.deepStrictEqual(cache.get(key), { success: true, path: SQUARE });
+    assert.deepStrictEqual([cache.hits, cache.misses], [1, 2]);
+});
+
+test('an entry removed between reading and touching it is a miss', (t) => {
+    const cache = temporaryCache();
+    const key = cache.key(REQUEST, PLANNER);
+    cache.put(key, { success: true, path: SQUARE });
+    t.mock.method(fs, 'utimesSync', () => {
+        throw Object.assign(new Error('gone'), { code: 'ENOENT' });
+    });
+    assert.strictEqual(cache.get(key), null);
+    assert.deepStrictEqual([cache.hits, cache.misses], [0, 1]);
+});
+
+test('least recently used entries are evicted past maxBytes', () => {
+    const output = { success: true, path: SQUARE };
+    const entryBytes = Buffer.byteLength(JSON.stringify({ key: 'k'.repeat(64), createdAt: new Date().toISOString(), output }));
+    const cache = temporaryCache(Math.floor(entryBytes * 2.5));
+    const keys = [1, 2, 3].map(n => cache.key({ ...REQUEST, boundary: SQUARE.map(point => ({ x: point.x * n, y: point.y })) }, PLANNER));
+
+    cache.put(keys[0], output);
+    cache.put(keys[1], output);
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(cache.file(keys[1]), past, past);
+    cache.put(keys[2], output);
+    assert.deepStrictEqual([cache.get(keys[0]), cache.get(keys[1]), cache.get(keys[2])].map(Boolean), [true, false, true]);
+});
+
+test('the configuration comes from the environment', () => {
+    assert.deepStrictEqual(planCacheConfig('/data', {}), { dir: path.join('/data', 'plan-cache'), maxBytes: 50 * 1024 * 1024 });
+    assert.deepStrictEqual(planCacheConfig('/data', { PLAN_CACHE_DIR: '/cache', PLAN_CACHE_MAX_MB: '0' }), { dir: '/cache', maxBytes: 0 });
+    assert.strictEqual(planCacheConfig('/data', { PLAN_CACHE_MAX_MB: '-1' }).maxBytes, 50 * 1024 * 1024);
+});
@@ -0,0 +1,59 @@
+/**
+ * Protocol schemas (js/schema.js): plan requests, plan results and the page's scenario format
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProtocolSchema } = require('../server/protocol');
+
+const SQUARE = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+const PARAMETERS = { cutting_width: 45, overlap: 5, robot_radius: 25 };
+// The schemas run in their own context (server/browser-modules.js), so results are copied into plain arrays
+const codes = errors => Array.from(errors, error => `${error.code} ${error.path}`);
+
+test('a complete plan request is valid', () => {
+    const request = { schema_version: 1, command: 'plan', boundary: SQUARE, static_obstacles: [], parameters: PARAMETERS };
+    assert.deepStrictEqual(codes(ProtocolSchema.validate('plan-request', request)), []);
+});
+
+test('plan request problems are listed with their codes and paths', () => {
+    const request = {
+        command: 'plan',
+        boundary: [{ x: 0, y: 0 }, { x: 'a', y: 0 }],
+        parameters: { ...PARAMETERS, robot_radius: -1, pattern: 'zigzag' }
+    };
+    assert.deepStrictEqual(codes(ProtocolSchema.validate('plan-request', request)), [
+        'TOO_FEW_ITEMS boundary',
+        'INVALID_TYPE boundary[1].x',
+        'OUT_OF_RANGE parameters.robot_radius',
+        'INVALID_VALUE parameters.pattern'
+    ]);
+    assert.deepStrictEqual(codes(ProtocolSchema.validate('plan-request', { boundary: SQUARE })), [
+        'MISSING_FIELD command',
+        'MISSING_FIELD parameters'
+    ]);
+});
+
+test('overlap must be smaller than the cutting width', () => {
+    const request = { command: 'plan', boundary: SQUARE, parameters: { ...PARAMETERS, overlap: 45 } };
+    assert.deepStrictEqual(codes(ProtocolSchema.validate('plan-request', request)), ['INVALID_VALUE parameters.overlap']);
+});
+
+test('other schema versions are rejected', () => {
+    const errors = ProtocolSchema.validate('plan-request', { schema_version: 2, command: 'plan', boundary: SQUARE, parameters: PARAMETERS });
+    assert.deepStrictEqual(codes(errors), ['UNSUPPORTED_VERSION schema_version']);
+});
+
+test('a successful plan result needs a path', () => {
+    const result = { success: true, stats: null, error: null };
+    assert.deepStrictEqual(codes(ProtocolSchema.validate('plan-result', result)), ['MISSING_FIELD path']);
+});
+
+test('scenario obstacle ids are limited to plain characters', () => {
+    const scenario = {
+        boundary: SQUARE,
+        obstacles: [{ id: 'obstacle_1', points: SQUARE }, { points: SQUARE }],
+        dynamicObstacles: [{ id: "o_1');alert(1);//", points: SQUARE }]
+    };
+    assert.deepStrictEqual(codes(ProtocolSchema.validate('scenario', scenario, 'data')), ['INVALID_VALUE data.dynamicObstacles[0].id']);
+});